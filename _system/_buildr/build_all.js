@@ -4,7 +4,9 @@
  * build-all.js
  * Multi-Project Build Orchestrator for Webly
  * 
- * Purpose: Discovers and builds all projects sequentially (Phase 1)
+ * Purpose: Discovers and builds all projects, sequentially (Phase 1) or with
+ *          up to maxConcurrentBuilds builds at a time (Phase 2, system_config.json
+ *          build.multiProjectBuildMode = "parallel")
  * Location: _system/_buildr/build-all.js
  * 
  * Usage:
@@ -14,6 +16,9 @@
  *   npm run build:all -- --promote       # Promote to _dist
  *   npm run build:all -- --stop-on-error # Stop on first failure
  *   npm run build:all -- --verbose       # Show detailed messages
+ *   npm run build:all -- --concurrency=4 # Parallel builds (overrides system_config)
+ *   npm run build:all -- --output=buffered  # Parallel output: prefixed | buffered
+ *   npm run build:all -- --runner=spawn  # One `npm run build` process per project
  * 
  * Post-Creation Steps (Unix/Mac):
  *   1. Make executable: chmod +x _system/_buildr/build-all.js
@@ -25,11 +30,17 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { spawn } = require('child_process');
+
+// How parallel builds share the console
+const OUTPUT_MODES = ['prefixed', 'buffered'];
+
+// How sequential builds run: WebGenBuilder in this process, or `npm run build` per project
+const RUNNERS = ['in-process', 'spawn'];
 
 /**
  * MultiProjectBuilder
- * Orchestrates sequential builds across multiple projects
+ * Orchestrates sequential or concurrent builds across multiple projects
  */
 class MultiProjectBuilder {
   constructor(options = {}) {
@@ -154,75 +165,239 @@ class MultiProjectBuilder {
   }
 
   /**
-   * Build a single project using npm script (calls generator.js)
+   * Resolve the build schedule from system_config build settings and CLI overrides
+   * Sequential builds run in-process by default (each WebGenBuilder has its own
+   * Handlebars environment); parallel builds always spawn one process per project.
+   * @returns {Object} - { mode: 'sequential'|'parallel', concurrency, output: 'prefixed'|'buffered', runner: 'in-process'|'spawn' }
    */
-  async buildProject(project) {
-    console.log('='.repeat(60));
-    console.log(`Building: ${project.projectId}`);
-    console.log(`Name: ${project.projectName}`);
+  resolveSchedule() {
+    const buildConfig = this.systemConfig.build || {};
+    let concurrency = buildConfig.multiProjectBuildMode === 'parallel'
+      ? parseInt(buildConfig.maxConcurrentBuilds, 10) || 1
+      : 1;
+    
+    if (this.options.concurrency !== null && this.options.concurrency !== undefined) {
+      concurrency = parseInt(this.options.concurrency, 10) || 1;
+    }
+    concurrency = Math.max(1, concurrency);
+    
+    let output = this.options.output || buildConfig.parallelOutput || 'prefixed';
+    if (!OUTPUT_MODES.includes(output)) {
+      console.warn(`Warning: Unknown output mode '${output}' (expected: ${OUTPUT_MODES.join(', ')}), using 'prefixed'`);
+      output = 'prefixed';
+    }
+    
+    let runner = this.options.runner || buildConfig.multiProjectRunner || 'in-process';
+    if (!RUNNERS.includes(runner)) {
+      console.warn(`Warning: Unknown runner '${runner}' (expected: ${RUNNERS.join(', ')}), using 'in-process'`);
+      runner = 'in-process';
+    }
+    
+    const mode = concurrency > 1 ? 'parallel' : 'sequential';
+    return { mode, concurrency, output, runner: mode === 'parallel' ? 'spawn' : runner };
+  }
+
+  /**
+   * Build command for a project (npm script → generator.js)
+   */
+  buildCommand(project) {
+    // Build command using npm script (not direct Node execution)
+    let buildCmd = `npm run build -- --project=${project.projectId}`;
+    
+    // Add promote flag if specified
+    if (this.options.promote) {
+      buildCmd += ' --promote';
+    }
+    
+    return buildCmd;
+  }
+
+  /**
+   * Print the per-project build header
+   */
+  printHeader(project, write = line => console.log(line)) {
+    write('='.repeat(60));
+    write(`Building: ${project.projectId}`);
+    write(`Name: ${project.projectName}`);
     
     // Show additional details in verbose mode
     if (this.options.verbose) {
-      console.log(`[Build-All] Project: ${project.projectId}`);
-      console.log(`[Build-All] Template: ${project.config.template?.version || 'unknown'}`);
-      console.log(`[Build-All] Status: ${project.status}`);
+      write(`[Build-All] Project: ${project.projectId}`);
+      write(`[Build-All] Template: ${project.config.template?.version || 'unknown'}`);
+      write(`[Build-All] Status: ${project.status}`);
     }
     
-    console.log('='.repeat(60));
+    write('='.repeat(60));
+  }
+
+  /**
+   * Run a build command
+   * Sequential builds inherit stdio (generator output in real time); parallel
+   * builds pipe it, either prefixed per line with the project id or buffered
+   * and printed as one block when the project finishes.
+   * @param {string} command - Shell command
+   * @param {Object} project - Project being built
+   * @param {Object} schedule - resolveSchedule() result
+   * @returns {Promise<void>} - Rejects when the command exits non-zero
+   */
+  runCommand(command, project, schedule) {
+    return new Promise((resolve, reject) => {
+      const parallel = schedule.mode === 'parallel';
+      const child = spawn(command, {
+        shell: true,
+        cwd: process.cwd(),
+        stdio: parallel ? ['ignore', 'pipe', 'pipe'] : 'inherit'
+      });
+      
+      const buffer = [];
+      const streams = [];
+      if (parallel) {
+        const prefix = `[${project.projectId}] `;
+        [[child.stdout, process.stdout], [child.stderr, process.stderr]].forEach(([source, target]) => {
+          let pending = '';
+          const emit = line => {
+            if (schedule.output === 'buffered') {
+              buffer.push([target, line]);
+            } else {
+              target.write(`${prefix}${line}\n`);
+            }
+          };
+          source.setEncoding('utf8');
+          source.on('data', chunk => {
+            const lines = (pending + chunk).split(/\r?\n/);
+            pending = lines.pop();
+            lines.forEach(emit);
+          });
+          streams.push(new Promise(done => source.on('end', () => {
+            if (pending) emit(pending);
+            done();
+          })));
+        });
+      }
+      
+      child.on('error', reject);
+      child.on('close', async (code, signal) => {
+        await Promise.all(streams);
+        if (buffer.length > 0) {
+          this.printHeader(project);
+          buffer.forEach(([target, line]) => target.write(`${line}\n`));
+        }
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Command failed: ${command}${signal ? ` (signal ${signal})` : ` (exit code ${code})`}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Build a project in this process (no npm/node startup per project)
+   * @param {Object} project - Project being built
+   * @throws {Error} - Build failure
+   */
+  async runInProcess(project) {
+    const WebGenBuilder = require('./generator');
+    const options = { promote: this.options.promote };
+    const builder = new WebGenBuilder(project.projectId, options);
+    await builder.build(options);
+    
+    const failed = builder.failedPages().length;
+    if (failed > 0) {
+      throw new Error(`${failed} page(s) failed to render`);
+    }
+  }
+
+  /**
+   * Build a single project (in-process WebGenBuilder or npm script → generator.js)
+   * @param {Object} project - Discovered project
+   * @param {Object} schedule - resolveSchedule() result
+   * @returns {Promise<Object>} - Result { projectId, projectName, status, time, error? }
+   */
+  async buildProject(project, schedule = { mode: 'sequential', concurrency: 1, output: 'prefixed' }) {
+    if (schedule.mode === 'parallel') {
+      console.log(`[Build-All] → Started: ${project.projectId} (${project.projectName})`);
+    } else {
+      this.printHeader(project);
+    }
     
     const startTime = Date.now();
     
     try {
-      // Build command using npm script (not direct Node execution)
-      let buildCmd = `npm run build -- --project=${project.projectId}`;
-      
-      // Add promote flag if specified
-      if (this.options.promote) {
-        buildCmd += ' --promote';
+      if (schedule.runner === 'in-process') {
+        await this.runInProcess(project);
+      } else {
+        await this.runCommand(this.buildCommand(project), project, schedule);
       }
       
-      // Execute build (synchronous, inherit stdio to show generator output)
-      // Always use stdio: 'inherit' - show generator output in real-time
-      execSync(buildCmd, { 
-        stdio: 'inherit',  // Show build output in real-time (always, per spec)
-        cwd: process.cwd()
-      });
-      
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       
-      this.results.push({
+      // Always show summary (non-verbose)
+      console.log(`\n✓ ${project.projectId} completed in ${elapsed}s\n`);
+      
+      return {
         projectId: project.projectId,
         projectName: project.projectName,
         status: 'success',
         time: elapsed
-      });
-      
-      // Always show summary (non-verbose)
-      console.log(`\n✓ ${project.projectId} completed in ${elapsed}s\n`);
+      };
       
     } catch (error) {
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       
-      this.results.push({
+      console.error(`\n✗ ${project.projectId} FAILED after ${elapsed}s\n`);
+      
+      return {
         projectId: project.projectId,
         projectName: project.projectName,
         status: 'failed',
         time: elapsed,
         error: error.message
-      });
-      
-      console.error(`\n✗ ${project.projectId} FAILED after ${elapsed}s\n`);
-      
-      // Continue to next project or stop based on --stop-on-error flag
-      if (this.options.stopOnError) {
-        console.log('Stopping due to --stop-on-error flag\n');
-        throw error;
-      } else {
-        console.log('Continuing to next project...\n');
-      }
+      };
     }
   }
 
+  /**
+   * Build projects with at most schedule.concurrency builds running at once
+   * Results are kept in project order, so the summary does not depend on timing.
+   * With --stop-on-error no new builds start after a failure; running builds finish.
+   * @param {Array} projects - Projects to build (sorted)
+   * @param {Object} schedule - resolveSchedule() result
+   * @throws {Error} - First failure, when --stop-on-error is set
+   */
+  async buildProjects(projects, schedule) {
+    const results = new Array(projects.length);
+    let next = 0;
+    let failure = null;
+    
+    const worker = async () => {
+      while (next < projects.length && !failure) {
+        const index = next++;
+        results[index] = await this.buildProject(projects[index], schedule);
+        
+        if (results[index].status === 'failed') {
+          // Continue to next project or stop based on --stop-on-error flag
+          if (this.options.stopOnError) {
+            if (!failure) {
+              failure = new Error(results[index].error);
+              console.log(schedule.mode === 'parallel'
+                ? 'Stopping due to --stop-on-error flag (waiting for running builds)\n'
+                : 'Stopping due to --stop-on-error flag\n');
+            }
+          } else {
+            console.log('Continuing to next project...\n');
+          }
+        }
+      }
+    };
+    
+    const workers = Math.min(schedule.concurrency, projects.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    
+    this.results = results.filter(Boolean);
+    if (failure) throw failure;
+  }
+
   /**
    * Generate and display final build summary report
    */
@@ -269,7 +444,12 @@ class MultiProjectBuilder {
    * Main execution: discover → filter → build → report
    */
   async buildAll() {
-    console.log('[Build-All] Starting sequential build of all projects...\n');
+    const schedule = this.resolveSchedule();
+    if (schedule.mode === 'parallel') {
+      console.log(`[Build-All] Starting parallel build of all projects (max ${schedule.concurrency} concurrent, ${schedule.output} output)...\n`);
+    } else {
+      console.log(`[Build-All] Starting sequential build of all projects (${schedule.runner})...\n`);
+    }
     
     const startTime = Date.now();
     
@@ -309,10 +489,8 @@ class MultiProjectBuilder {
     });
     console.log('');
     
-    // Build each project sequentially (Phase 1 requirement)
-    for (const project of projectsToBuild) {
-      await this.buildProject(project);
-    }
+    // Build projects (one at a time, or up to maxConcurrentBuilds at once)
+    await this.buildProjects(projectsToBuild, schedule);
     
     // Generate and display summary report
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -335,6 +513,9 @@ function parseArgs() {
     promote: false,
     stopOnError: false,
     verbose: false,
+    concurrency: null,
+    output: null,
+    runner: null,
     help: false
   };
   
@@ -349,6 +530,12 @@ function parseArgs() {
       options.stopOnError = true;
     } else if (arg === '--verbose') {
       options.verbose = true;
+    } else if (arg.startsWith('--concurrency=')) {
+      options.concurrency = arg.substring(14);
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.substring(9);
+    } else if (arg.startsWith('--runner=')) {
+      options.runner = arg.substring(9);
     } else if (arg === '--help' || arg === '-h') {
       options.help = true;
     }
@@ -379,7 +566,22 @@ Options:
                       Default: Continue to next project after failure
   
   --verbose           Show detailed build-all orchestration messages
-                      Note: Generator output always shown (stdio: inherit)
+                      Note: Generator output always shown
+  
+  --concurrency=N     Run up to N project builds at once
+                      Default: system_config.json build.maxConcurrentBuilds
+                      when build.multiProjectBuildMode is "parallel", else 1
+  
+  --output=MODE       Generator output of parallel builds:
+                        prefixed  Lines prefixed with [projectId] (default)
+                        buffered  Each project's output printed when it finishes
+                      Default: system_config.json build.parallelOutput
+  
+  --runner=RUNNER     How sequential builds run:
+                        in-process  All projects in this Node process (default)
+                        spawn       One 'npm run build' process per project
+                      Parallel builds always spawn one process per project
+                      Default: system_config.json build.multiProjectRunner
   
   --help, -h          Show this help message
 
@@ -389,9 +591,10 @@ Examples:
   npm run build:all -- --projects=ips-v1,demo-site
   npm run build:all -- --promote
   npm run build:all -- --stop-on-error --verbose
+  npm run build:all -- --concurrency=3 --output=buffered
 
 Phase 1: Sequential builds (one at a time)
-Phase 2: Parallel builds (coming later)
+Phase 2: Parallel builds (multiProjectBuildMode: "parallel", maxConcurrentBuilds)
 `);
 }
 
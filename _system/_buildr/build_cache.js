@@ -0,0 +1,241 @@
+// ./_system/_buildr/build_cache.js
+// Persistent Incremental Build Cache for WebGen
+// On-disk manifest of input hashes per output file, kept in the project output
+// root (_output/<project>/.build-cache.json) so it survives timestamped builds.
+//
+// Pages:  { "<lang>/<page>.html": { pageId, language, builder, inputs: { file: hash }, assets: [file] } }
+//         inputs = page/content sources, site config and the templates the page used;
+//         builder = hash of everything shared (config, builder code, template list)
+// Assets: { "assets/<file>": "<size>:<mtime>" } (stat fingerprint of the source)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 2;
+
+class BuildCache {
+  /**
+   * @param {string} manifestPath - Manifest file (JSON)
+   * @param {Object} options - { ignorePrevious } (full rebuilds start from an empty manifest)
+   */
+  constructor(manifestPath, options = {}) {
+    this.manifestPath = manifestPath;
+    this.previous = options.ignorePrevious ? this.emptyManifest() : this.load();
+    this.pages = {};
+    this.assets = {};
+    this.hashes = {};
+  }
+
+  /**
+   * Manifest with no previous build
+   */
+  emptyManifest() {
+    return { version: MANIFEST_VERSION, output: null, pages: {}, assets: {} };
+  }
+
+  /**
+   * Read the manifest of the last successful build (empty when missing/outdated)
+   * @returns {Object} - { version, output, pages, assets }
+   */
+  load() {
+    const empty = this.emptyManifest();
+    if (!fs.existsSync(this.manifestPath)) return empty;
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      return manifest.version === MANIFEST_VERSION ? { ...empty, ...manifest } : empty;
+    } catch (error) {
+      console.warn(`[Cache] Ignoring unreadable manifest ${this.manifestPath}: ${error.message}`);
+      return empty;
+    }
+  }
+
+  /**
+   * Content hash of a file (memoized for the build)
+   * @param {string} file - File path
+   * @returns {string|null} - sha1 hex, null when the file does not exist
+   */
+  hashFile(file) {
+    if (!(file in this.hashes)) {
+      this.hashes[file] = fs.existsSync(file)
+        ? crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex')
+        : null;
+    }
+    return this.hashes[file];
+  }
+
+  /**
+   * Combined hash of files (paths included, so renames count) and extra values
+   * @param {string[]} files - File paths
+   * @param {Array} values - Additional JSON-serializable inputs
+   * @returns {string} - sha1 hex
+   */
+  hashInputs(files, values = []) {
+    const hash = crypto.createHash('sha1');
+    [...files].sort().forEach(file => hash.update(`${file}\0${this.hashFile(file)}\0`));
+    values.forEach(value => hash.update(`${JSON.stringify(value)}\0`));
+    return hash.digest('hex');
+  }
+
+  /**
+   * Files under a directory (recursive, sorted)
+   * @param {string} dir - Directory
+   * @param {Function} filter - (file) => boolean
+   * @returns {string[]}
+   */
+  listFiles(dir, filter = () => true) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return this.listFiles(full, filter);
+      return filter(full) ? [full] : [];
+    }).sort();
+  }
+
+  /**
+   * Whether an output page is up to date: same builder hash, no new source files,
+   * every input recorded for it (incl. templates) unchanged and its output still
+   * present (in this build's directory or the previous build's)
+   * @param {string} outputRoot - Current build output directory
+   * @param {string} outputFile - Output path relative to outputRoot
+   * @param {string[]} sources - Current page sources (page/content/site files)
+   * @param {string} builder - Current builder hash
+   * @returns {boolean}
+   */
+  isCurrent(outputRoot, outputFile, sources, builder) {
+    const entry = this.previous.pages[outputFile];
+    return Boolean(entry) &&
+      entry.builder === builder &&
+      sources.every(file => file in entry.inputs) &&
+      Object.keys(entry.inputs).every(file => entry.inputs[file] === this.hashFile(file)) &&
+      this.hasOutput(outputRoot, outputFile);
+  }
+
+  /**
+   * Previous build's entry for an output page (null when unknown)
+   */
+  previousPage(outputFile) {
+    return this.previous.pages[outputFile] || null;
+  }
+
+  /**
+   * Keep a page this build did not need to render: its previous entry and,
+   * for a new (timestamped) output directory, its previous output file
+   * @param {string} outputRoot - Current build output directory
+   * @param {string} outputFile - Output path relative to outputRoot
+   */
+  keepPage(outputRoot, outputFile) {
+    this.pages[outputFile] = this.previous.pages[outputFile];
+    this.reuseOutput(outputRoot, outputFile);
+  }
+
+  /**
+   * Record the inputs of a page rendered by this build
+   * @param {string} outputFile - Output path relative to the output directory
+   * @param {Object} entry - { pageId, language, builder, inputs: [file], assets: [file] }
+   */
+  recordPage(outputFile, { pageId, language, builder, inputs, assets }) {
+    const hashes = {};
+    [...new Set(inputs)].sort().forEach(file => { hashes[file] = this.hashFile(file); });
+    this.pages[outputFile] = { pageId, language, builder, inputs: hashes, assets };
+  }
+
+  /**
+   * Stat fingerprint of an asset source file
+   * @param {string} file - Source file
+   * @returns {string} - "<size>:<mtime>"
+   */
+  assetFingerprint(file) {
+    const stat = fs.statSync(file);
+    return `${stat.size}:${Math.round(stat.mtimeMs)}`;
+  }
+
+  /**
+   * Whether a copied asset is up to date (and record it for this build);
+   * an unchanged asset is taken over from the previous build's directory
+   * @param {string} outputRoot - Current build output directory
+   * @param {string} outputFile - Destination relative to outputRoot
+   * @param {string} source - Source file
+   * @returns {boolean}
+   */
+  assetIsCurrent(outputRoot, outputFile, source) {
+    const fingerprint = this.assetFingerprint(source);
+    this.assets[outputFile] = fingerprint;
+    return this.previous.assets[outputFile] === fingerprint &&
+      this.reuseOutput(outputRoot, outputFile);
+  }
+
+  /**
+   * Previous build's copy of an output file (null when there is none)
+   * @param {string} outputFile - Output path relative to the output directory
+   * @returns {string|null}
+   */
+  previousOutput(outputFile) {
+    if (!this.previous.output) return null;
+    const file = path.join(this.previous.output, outputFile);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  /**
+   * Whether an output file exists in this build's directory or can be reused
+   * from the previous build's
+   */
+  hasOutput(outputRoot, outputFile) {
+    return fs.existsSync(path.join(outputRoot, outputFile)) || Boolean(this.previousOutput(outputFile));
+  }
+
+  /**
+   * Bring an unchanged output file over from the previous build into a new
+   * (timestamped) output directory: hard-linked, copied where linking fails
+   * (other filesystem). Only files whose inputs are unchanged are reused, so
+   * nothing stale or transient (.temp, _reports) is carried forward.
+   * @param {string} outputRoot - Current build output directory
+   * @param {string} outputFile - Output path relative to outputRoot
+   * @returns {boolean} - Whether the file is present in outputRoot
+   */
+  reuseOutput(outputRoot, outputFile) {
+    const target = path.join(outputRoot, outputFile);
+    if (fs.existsSync(target)) return true;
+    const source = this.previousOutput(outputFile);
+    if (!source) return false;
+    
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    try {
+      fs.linkSync(source, target);
+    } catch (error) {
+      fs.copyFileSync(source, target);
+    }
+    return true;
+  }
+
+  /**
+   * Output files of the previous build that this build no longer produces
+   * @returns {string[]} - Paths relative to the output directory
+   */
+  staleOutputs() {
+    const pages = Object.keys(this.previous.pages).filter(file => !this.pages[file]);
+    const assets = Object.keys(this.previous.assets).filter(file => !this.assets[file]);
+    return [...pages, ...assets];
+  }
+
+  /**
+   * Write the manifest for this (successful) build
+   * Partial builds (--file) keep the previous entries of pages they did not render;
+   * those still describe the inputs the reused files were built from.
+   * @param {string} outputRoot - Build output directory
+   * @param {Object} options - { partial }
+   */
+  save(outputRoot, options = {}) {
+    const manifest = {
+      version: MANIFEST_VERSION,
+      output: outputRoot,
+      savedAt: new Date().toISOString(),
+      pages: options.partial ? { ...this.previous.pages, ...this.pages } : this.pages,
+      assets: this.assets
+    };
+    fs.mkdirSync(path.dirname(this.manifestPath), { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+  }
+}
+
+module.exports = BuildCache;
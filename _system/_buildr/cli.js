@@ -15,6 +15,8 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const ContentValidator = require('./validator');
+const ElementRegistry = require('./element_registry');
 
 // =============================================================================
 // HELPER FUNCTIONS
@@ -325,6 +327,106 @@ function validateTemplate(version, systemConfig) {
   return true;
 }
 
+/**
+ * List source JSON files under src/<lang>/ (hub folders)
+ * @param {string} langPath - Language source directory (src/<lang>)
+ * @returns {string[]} Paths relative to langPath (e.g. "hub01/markets_content.json")
+ */
+function listSourceFiles(langPath) {
+  if (!fs.existsSync(langPath)) return [];
+  
+  const files = [];
+  fs.readdirSync(langPath, { withFileTypes: true })
+    .filter(e => e.isDirectory())
+    .forEach(hub => {
+      fs.readdirSync(path.join(langPath, hub.name))
+        .filter(f => f.endsWith('.json'))
+        .forEach(f => files.push(path.join(hub.name, f)));
+    });
+  
+  return files.sort();
+}
+
+/**
+ * Count content elements in a block, including nested panels/columns
+ * @param {Object} block - Content block
+ * @returns {number} Element count
+ */
+function countElements(block) {
+  if (!block || typeof block !== 'object') return 0;
+  
+  let count = 0;
+  Object.keys(block).forEach(key => {
+    const value = block[key];
+    if (!Array.isArray(value)) return;
+    if (key === 'elements') count += value.length;
+    value.forEach(child => { count += countElements(child); });
+  });
+  
+  return count;
+}
+
+/**
+ * Last-updated time of a content block
+ * Block "lastUpdated" wins over the file-level "lastUpdated" metadata. File
+ * mtimes are not used: checkouts, copies and formatters change them.
+ * @param {Object} block - Content block
+ * @param {Object} data - Parsed content file
+ * @returns {Date|null} Last-updated time, or null when neither is a valid date
+ */
+function getLastUpdated(block, data) {
+  const value = [block && block.lastUpdated, data && data.lastUpdated]
+    .find(date => date && !isNaN(Date.parse(date)));
+  return value ? new Date(value) : null;
+}
+
+/**
+ * Compare the blocks of a translated content file with the default language
+ * Adds missing blocks, element count mismatches, stale blocks (source updated
+ * after the translation) and undated blocks (no lastUpdated, staleness unknown)
+ * to the language status.
+ * @param {string} file - Path relative to src/<lang>
+ * @param {Object} source - Parsed default language file
+ * @param {Object} target - Parsed translation
+ * @param {Object} status - Language status (see translationStatus)
+ */
+function compareContentFile(file, source, target, status) {
+  const targetBlocks = target.blocks || {};
+  
+  Object.keys(source.blocks || {}).forEach(blockId => {
+    const sourceBlock = source.blocks[blockId];
+    const targetBlock = targetBlocks[blockId];
+    
+    if (!targetBlock) {
+      status.missingBlocks.push({ file, block: blockId });
+      return;
+    }
+    
+    const sourceCount = countElements(sourceBlock);
+    const targetCount = countElements(targetBlock);
+    if (sourceCount !== targetCount) {
+      status.elementMismatches.push({ file, block: blockId, source: sourceCount, translation: targetCount });
+    }
+    
+    const sourceUpdated = getLastUpdated(sourceBlock, source);
+    const targetUpdated = getLastUpdated(targetBlock, target);
+    if (!sourceUpdated || !targetUpdated) {
+      status.undatedBlocks.push({
+        file,
+        block: blockId,
+        undated: [!sourceUpdated && 'source', !targetUpdated && 'translation'].filter(Boolean)
+      });
+    } else if (sourceUpdated > targetUpdated) {
+      status.staleBlocks.push({
+        file,
+        block: blockId,
+        sourceUpdated: sourceUpdated.toISOString(),
+        translationUpdated: targetUpdated.toISOString()
+      });
+    }
+  });
+}
+
 // =============================================================================
 // COMMAND IMPLEMENTATIONS
 // =============================================================================
@@ -896,6 +998,213 @@ function upgradeTemplate() {
   console.log(`    Run: npm run build -- --project=${args.project} --full-rebuild`);
 }
 
+/**
+ * TRANSLATIONS COMMAND: Report translation status per supported language
+ * Compares src/<lang>/hubXX against the default language: missing files,
+ * missing blocks, element count mismatches and stale translations.
+ * Staleness compares "lastUpdated" dates (block, else file metadata); blocks
+ * without one on either side are reported as undated.
+ */
+async function translationStatus() {
+  const args = parseArgs();
+  
+  if (!args.project) {
+    console.error('❌ ERROR: --project parameter required');
+    console.error('   Usage: cli.js translations --project=<id> [--json]');
+    process.exit(1);
+  }
+  
+  const systemConfig = loadSystemConfig();
+  const projectConfig = loadProjectConfig(args.project);
+  const projectPath = resolveProjectPath(args.project, systemConfig);
+  const srcPath = path.join(projectPath, projectConfig.paths.src);
+  const defaultLang = projectConfig.languages.default;
+  const targetLangs = projectConfig.languages.supported.filter(lang => lang !== defaultLang);
+  
+  const readJSON = (filePath) => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  const sourceFiles = listSourceFiles(path.join(srcPath, defaultLang));
+  const report = {
+    projectId: args.project,
+    defaultLanguage: defaultLang,
+    generated: new Date().toISOString(),
+    languages: {}
+  };
+  
+  for (const lang of targetLangs) {
+    const status = {
+      totalFiles: sourceFiles.length,
+      translatedFiles: 0,
+      missingFiles: [],
+      missingBlocks: [],
+      elementMismatches: [],
+      staleBlocks: [],
+      undatedBlocks: [],
+      invalidFiles: []
+    };
+    
+    for (const file of sourceFiles) {
+      const sourcePath = path.join(srcPath, defaultLang, file);
+      const targetPath = path.join(srcPath, lang, file);
+      
+      if (!fs.existsSync(targetPath)) {
+        status.missingFiles.push(file);
+        continue;
+      }
+      status.translatedFiles++;
+      
+      // Only content files carry blocks
+      const source = readJSON(sourcePath);
+      const target = readJSON(targetPath);
+      if (!source || !target) {
+        status.invalidFiles.push(source ? file : path.join(defaultLang, file));
+        continue;
+      }
+      if (!source.blocks) continue;
+      
+      compareContentFile(file, source, target, status);
+    }
+    
+    report.languages[lang] = status;
+  }
+  
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  
+  console.log(`🌐 Translation Status: ${args.project}\n`);
+  console.log(`Default language: ${defaultLang} (${sourceFiles.length} source files)\n`);
+  
+  if (targetLangs.length === 0) {
+    console.log('   No additional languages configured');
+    return;
+  }
+  
+  for (const lang of targetLangs) {
+    const status = report.languages[lang];
+    const complete = status.missingFiles.length === 0 && status.missingBlocks.length === 0 &&
+      status.elementMismatches.length === 0 && status.staleBlocks.length === 0 &&
+      status.undatedBlocks.length === 0 && status.invalidFiles.length === 0;
+    
+    console.log(`  ${complete ? '✓' : '⚠️ '} ${lang}: ${status.translatedFiles}/${status.totalFiles} files translated`);
+    
+    if (status.missingFiles.length > 0) {
+      console.log(`    Missing files (${status.missingFiles.length}):`);
+      status.missingFiles.forEach(file => console.log(`      - ${file}`));
+    }
+    if (status.invalidFiles.length > 0) {
+      console.log(`    Unreadable JSON (${status.invalidFiles.length}):`);
+      status.invalidFiles.forEach(file => console.log(`      - ${file}`));
+    }
+    if (status.missingBlocks.length > 0) {
+      console.log(`    Missing blocks (${status.missingBlocks.length}):`);
+      status.missingBlocks.forEach(m => console.log(`      - ${m.file} → ${m.block}`));
+    }
+    if (status.elementMismatches.length > 0) {
+      console.log(`    Element count mismatches (${status.elementMismatches.length}):`);
+      status.elementMismatches.forEach(m =>
+        console.log(`      - ${m.file} → ${m.block} (${defaultLang}: ${m.source}, ${lang}: ${m.translation})`)
+      );
+    }
+    if (status.staleBlocks.length > 0) {
+      console.log(`    Stale translations (${status.staleBlocks.length}):`);
+      status.staleBlocks.forEach(m =>
+        console.log(`      - ${m.file} → ${m.block} (source updated ${formatDate(m.sourceUpdated)})`)
+      );
+    }
+    if (status.undatedBlocks.length > 0) {
+      console.log(`    No lastUpdated, staleness unknown (${status.undatedBlocks.length}):`);
+      status.undatedBlocks.forEach(m =>
+        console.log(`      - ${m.file} → ${m.block} (${m.undated.join(', ')})`)
+      );
+    }
+    console.log('');
+  }
+}
+
+/**
+ * VALIDATE COMMAND: Validate menu, page and content JSON without building
+ * Prints errors with line:column from the JSON source; exits 1 on errors
+ * so it can run as a pre-commit check.
+ */
+async function validateProject() {
+  const args = parseArgs();
+  
+  if (!args.project) {
+    console.error('❌ ERROR: --project parameter required');
+    console.error('   Usage: cli.js validate --project=<id> [--file=<path>]');
+    process.exit(1);
+  }
+  
+  const systemConfig = loadSystemConfig();
+  const projectConfig = loadProjectConfig(args.project);
+  const projectPath = resolveProjectPath(args.project, systemConfig);
+  const buildConfigPath = path.join(__dirname, 'build_config.json');
+  
+  let buildConfig;
+  try {
+    buildConfig = JSON.parse(fs.readFileSync(buildConfigPath, 'utf8'));
+  } catch (error) {
+    console.error('❌ ERROR: Failed to load build_config.json');
+    console.error(`   ${error.message}`);
+    process.exit(1);
+  }
+  
+  let elements;
+  try {
+    elements = ElementRegistry.load(buildConfig, projectConfig, projectPath);
+  } catch (error) {
+    console.error('❌ ERROR: Failed to load element plugins');
+    console.error(`   ${error.message}`);
+    process.exit(1);
+  }
+  
+  const validator = new ContentValidator({
+    src: path.join(projectPath, projectConfig.paths.src),
+    site: path.join(projectPath, projectConfig.paths.site)
+  }, projectConfig, buildConfig, elements);
+  
+  console.log(`🔍 Validating: ${args.project}${args.file ? ` (${args.file})` : ''}\n`);
+  
+  const result = args.file
+    ? validator.validateSingleFile(path.resolve(args.file))
+    : validator.validateProject();
+  const issues = [...result.errors, ...result.warnings];
+  
+  // Group by file, ordered by position
+  const byFile = {};
+  issues.forEach(issue => {
+    if (!byFile[issue.file]) byFile[issue.file] = [];
+    byFile[issue.file].push(issue);
+  });
+  
+  Object.keys(byFile).sort().forEach(file => {
+    console.log(file);
+    byFile[file]
+      .sort((a, b) => a.line - b.line || a.column - b.column)
+      .forEach(issue => {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`  ${icon} ${issue.line}:${issue.column}  ${issue.path}`);
+        console.log(`     ${issue.message}`);
+      });
+    console.log('');
+  });
+  
+  const summary = `${result.filesChecked} file(s) checked: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`;
+  if (result.errors.length > 0) {
+    console.error(`❌ ${summary}`);
+    process.exit(1);
+  }
+  console.log(`✓ ${summary}`);
+}
+
 /**
  * CLEAN COMMAND: Clean project output
  */
@@ -1091,6 +1400,11 @@ function showHelp() {
   console.log('  list-templates              List available template versions');
   console.log('  upgrade-template --project=<id> --version=<ver>  Upgrade project template\n');
   
+  console.log('Content:');
+  console.log('  validate --project=<id> [--file=<path>]  Validate menu/page/content JSON');
+  console.log('  translations --project=<id> Report missing/outdated translations');
+  console.log('                              (outdated: block or file "lastUpdated" dates)\n');
+  
   console.log('Maintenance:');
   console.log('  clean --project=<id>        Clean project output');
   console.log('  clean-all                   Clean all project outputs\n');
@@ -1101,12 +1415,16 @@ function showHelp() {
   console.log('  --template=<version>        Template version');
   console.log('  --confirm=yes               Skip confirmation prompts');
   console.log('  --dist                      Include _dist directory (clean command)');
-  console.log('  --dry-run                   Preview what would be deleted (clean commands)\n');
+  console.log('  --dry-run                   Preview what would be deleted (clean commands)');
+  console.log('  --json                      Machine-readable output (translations command)');
+  console.log('  --file=<path>               Validate a single JSON file (validate command)\n');
   
   console.log('EXAMPLES:');
   console.log('  node _system/_buildr/cli.js list');
   console.log('  node _system/_buildr/cli.js info --project=ips-v1');
   console.log('  node _system/_buildr/cli.js create --id=client-new --name="New Client"');
+  console.log('  node _system/_buildr/cli.js validate --project=ips-v1');
+  console.log('  node _system/_buildr/cli.js translations --project=ips-v1 --json');
   console.log('  node _system/_buildr/cli.js clean --project=ips-v1 --dry-run');
   console.log('  node _system/_buildr/cli.js clean-all --confirm=yes\n');
   
@@ -1125,24 +1443,30 @@ const commands = {
   'archive': archiveProject,
   'list-templates': listTemplates,
   'upgrade-template': upgradeTemplate,
+  'validate': validateProject,
+  'translations': translationStatus,
   'clean': cleanProject,
   'clean-all': cleanAllProjects,
   'help': showHelp
 };
 
-// Get command from arguments
-const command = process.argv[2];
+if (require.main === module) {
+  // Get command from arguments
+  const command = process.argv[2];
 
-// Execute command or show help
-if (!command || command === 'help') {
-  showHelp();
-} else if (commands[command]) {
-  commands[command]().catch(error => {
-    console.error('\n❌ Command failed:', error.message);
+  // Execute command or show help
+  if (!command || command === 'help') {
+    showHelp();
+  } else if (commands[command]) {
+    commands[command]().catch(error => {
+      console.error('\n❌ Command failed:', error.message);
+      process.exit(1);
+    });
+  } else {
+    console.error(`❌ Unknown command: ${command}`);
+    console.error('   Run "node cli.js help" for usage information');
     process.exit(1);
-  });
-} else {
-  console.error(`❌ Unknown command: ${command}`);
-  console.error('   Run "node cli.js help" for usage information');
-  process.exit(1);
-}
\ No newline at end of file
+  }
+}
+
+module.exports = { getLastUpdated, compareContentFile };
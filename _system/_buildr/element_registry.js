@@ -0,0 +1,162 @@
+// ./_system/_buildr/element_registry.js
+// Element Type Registry for WebGen
+// Built-in element types plus custom types registered by shared/project plugins
+//
+// Registration (paths are relative to the declaring config):
+//   build_config.json   → "plugins": ["./_system/_shared/plugins/quote.js"]   (repo root)
+//   project_config.json → "plugins": ["./plugins/stat.js"]                    (project dir)
+//
+// A plugin module exports { elements: { <type>: definition } } or a function
+// receiving the registry. A definition is:
+//   render(element, context) → HTML string   context: { language, mediaBasePath, mediaFallbackPath, markdown, helpers }
+//   schema   → same shape as build_config.json elementTypes entries
+//   defaults → settings merged under the element before validation and rendering
+
+const path = require('path');
+const helpers = require('./helpers');
+
+// Built-in renderers; schemas come from build_config.json elementTypes.
+// "form" has no inline renderer: it is rendered by the form layouts.
+const BUILTIN_RENDERERS = {
+  title: (element) => helpers.renderTitleElement(element),
+  paragraph: (element, context) => helpers.renderParagraphElement(element, context.markdown),
+  list: (element, context) => helpers.renderListElement(element, context.markdown),
+  media: (element, context) => helpers.renderMediaElement(element, context.mediaBasePath),
+  callToAction: (element, context) => helpers.renderCallToActionElement(element, context.language),
+  spacer: (element) => helpers.renderSpacerElement(element),
+  form: () => ''
+};
+
+class ElementRegistry {
+  /**
+   * @param {Object} elementTypes - build_config.json elementTypes (built-in schemas)
+   */
+  constructor(elementTypes = {}) {
+    this.types = {};
+    this.builtins = new Set(Object.keys(BUILTIN_RENDERERS));
+
+    Object.keys(BUILTIN_RENDERERS).forEach(type => {
+      this.types[type] = {
+        render: BUILTIN_RENDERERS[type],
+        schema: elementTypes[type] || {},
+        defaults: {},
+        source: 'built-in'
+      };
+    });
+  }
+
+  /**
+   * Create a registry with built-ins plus shared and project plugins
+   * @param {Object} buildConfig - build_config.json
+   * @param {Object} projectConfig - project_config.json
+   * @param {string} projectPath - Project directory (project plugin base)
+   * @returns {ElementRegistry}
+   */
+  static load(buildConfig, projectConfig, projectPath) {
+    const registry = new ElementRegistry(buildConfig.elementTypes);
+    registry.loadPlugins(buildConfig.plugins, process.cwd());
+    registry.loadPlugins(projectConfig.plugins, projectPath);
+    return registry;
+  }
+
+  /**
+   * Register a custom element type
+   * @param {string} type - Element type (e.g. "quote")
+   * @param {Object} definition - { render, schema, defaults }
+   * @param {string} source - Plugin path (for messages)
+   */
+  register(type, definition, source = 'inline') {
+    if (this.builtins.has(type)) {
+      throw new Error(`Cannot register element type "${type}" from ${source}: built-in type`);
+    }
+    if (!definition || typeof definition.render !== 'function') {
+      throw new Error(`Element type "${type}" from ${source} has no render() function`);
+    }
+    if (this.types[type]) {
+      throw new Error(`Element type "${type}" from ${source} already registered by ${this.types[type].source}`);
+    }
+
+    this.types[type] = {
+      render: definition.render,
+      schema: definition.schema || {},
+      defaults: definition.defaults || {},
+      source
+    };
+  }
+
+  /**
+   * Load plugin modules
+   * @param {string[]} pluginPaths - Module paths
+   * @param {string} baseDir - Directory module paths are relative to
+   */
+  loadPlugins(pluginPaths, baseDir) {
+    (pluginPaths || []).forEach(pluginPath => {
+      const resolved = path.resolve(baseDir, pluginPath);
+      const source = path.relative(process.cwd(), resolved);
+      let plugin;
+      try {
+        plugin = require(resolved);
+      } catch (error) {
+        throw new Error(`Failed to load plugin ${resolved}: ${error.message}`);
+      }
+
+      if (typeof plugin === 'function') {
+        plugin(this);
+      } else {
+        const elements = (plugin && plugin.elements) || {};
+        Object.keys(elements).forEach(type => this.register(type, elements[type], source));
+      }
+      console.log(`[Plugins] Loaded ${source}`);
+    });
+  }
+
+  /**
+   * @param {string} type - Element type
+   * @returns {boolean} Whether the type is registered
+   */
+  has(type) {
+    return Boolean(this.types[type]);
+  }
+
+  /**
+   * @param {string} type - Element type
+   * @returns {boolean} Whether the type comes from a plugin
+   */
+  isCustom(type) {
+    return this.has(type) && !this.builtins.has(type);
+  }
+
+  /**
+   * Element schemas keyed by type (validateElement's config.elementTypes)
+   * @returns {Object}
+   */
+  schemas() {
+    const schemas = {};
+    Object.keys(this.types).forEach(type => { schemas[type] = this.types[type].schema; });
+    return schemas;
+  }
+
+  /**
+   * Merge a type's default settings under an element
+   * @param {Object} element - Content element
+   * @returns {Object} Element with defaults applied
+   */
+  withDefaults(element) {
+    const definition = element && this.types[element.type];
+    if (!definition) return element;
+    return { ...definition.defaults, ...element };
+  }
+
+  /**
+   * Render an element (unknown types render nothing)
+   * @param {Object} element - Content element
+   * @param {Object} context - { language, mediaBasePath, mediaFallbackPath, markdown }
+   * @returns {string} HTML
+   */
+  render(element, context = {}) {
+    if (!element || !this.has(element.type)) return '';
+    return this.types[element.type].render(this.withDefaults(element), { ...context, helpers }) || '';
+  }
+}
+
+module.exports = ElementRegistry;
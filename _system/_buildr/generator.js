@@ -4,8 +4,23 @@
 // Refactored: WEBLY-IMPL-003 (75% keep / 25% enhance)
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { performance } = require('perf_hooks');
 const HTMLRenderer = require('./renderer');
+const ContentValidator = require('./validator');
+const HookManager = require('./hooks');
+const ElementRegistry = require('./element_registry');
+const LinkChecker = require('./link_checker');
+const SitemapGenerator = require('./sitemap');
+const StructuredDataBuilder = require('./structured_data');
+const SeoAuditor = require('./seo_audit');
+const BuildCache = require('./build_cache');
+const RenderPool = require('./render_pool');
+const helpers = require('./helpers');
+
+// <meta name="robots" content="...noindex..."> in a rendered page (page metadata.noindex)
+const NOINDEX_META = /<meta\s+name="robots"\s+content="[^"]*noindex/i;
 
 // ============================================================================
 // HELPER FUNCTIONS (Top Level)
@@ -21,7 +36,11 @@ function parseArgs() {
     projectId: null,
     fullRebuild: false,
     promote: false,
-    file: null
+    file: null,
+    missingContent: null,
+    failOnBrokenLinks: false,
+    environment: null,
+    workers: null
   };
   
   args.forEach(arg => {
@@ -32,7 +51,16 @@ function parseArgs() {
     } else if (arg === '--promote' || arg === '--promote-to-dist') {
       options.promote = true;
     } else if (arg.startsWith('--file=')) {
-      options.file = arg.substring(7);
+      // Repeatable: the watcher passes every changed file
+      options.file = options.file ? [].concat(options.file, arg.substring(7)) : arg.substring(7);
+    } else if (arg.startsWith('--missing-content=')) {
+      options.missingContent = arg.substring(18);
+    } else if (arg === '--fail-on-broken-links') {
+      options.failOnBrokenLinks = true;
+    } else if (arg.startsWith('--env=')) {
+      options.environment = arg.substring(6);
+    } else if (arg.startsWith('--workers=')) {
+      options.workers = arg.substring(10);
     }
   });
   
@@ -55,6 +83,7 @@ class WebGenBuilder {
     
     // Load configurations
     this.systemConfig = this.loadSystemConfig();
+    this.buildConfig = this.loadBuildConfig();
     this.projectConfig = this.loadProjectConfig(projectId);
     
     // Resolve template version based on policy
@@ -65,9 +94,26 @@ class WebGenBuilder {
     
     // Initialize renderer with new signature
     this.renderer = new HTMLRenderer(this.paths, this.projectConfig);
+    this.renderer.missingContentPolicy = this.resolveMissingContentPolicy();
+    
+    // Build hooks: system-wide (build_config.json) first, then project hooks
+    this.hooks = this.loadHooks();
+    this.renderer.hooks = this.hooks;
+    
+    // Element types: built-ins + shared (build_config) and project plugins
+    this.elements = ElementRegistry.load(this.buildConfig, this.projectConfig, this.paths.project);
+    this.renderer.elements = this.elements;
     
-    // Dependency graph (unchanged core structure)
-    this.dependencyGraph = {};
+    // Dependency graph: input file → pages (see buildDependencyGraph)
+    this.dependencyGraph = { pages: {}, files: {}, contentSources: {}, hubs: {} };
+    
+    // Incremental build cache (BuildCache, created per build; null when disabled)
+    this.cache = null;
+    this.builderHash = null;
+    
+    // Render mode and per-page render times of the current build (build report);
+    // published: pages in the output after rendering ("<lang>/<pageId>" → { noindex, sources }, sitemap)
+    this.renderStats = { workers: 0, upToDate: 0, pages: [], published: {} };
   }
 
   // ==========================================================================
@@ -94,6 +140,23 @@ class WebGenBuilder {
     return config;
   }
 
+  /**
+   * Load build configuration (validation rules, element catalogue)
+   * @returns {Object} Build configuration object
+   */
+  loadBuildConfig() {
+    const configPath = path.join(__dirname, 'build_config.json');
+    
+    if (!fs.existsSync(configPath)) {
+      throw new Error(
+        `Build configuration not found at: ${configPath}\n` +
+        `Please ensure build_config.json exists in _system/_buildr/`
+      );
+    }
+    
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
   /**
    * Load project configuration
    * @param {string} projectId - Project identifier
@@ -255,6 +318,7 @@ class WebGenBuilder {
         this.systemConfig.paths.templatesRoot,
         this.templateVersion
       ),
+      projectTemplates: path.join(projectPath, this.projectConfig.paths.templates || './templates/'),
       shared: this.systemConfig.paths.sharedRoot,
       site: path.join(projectPath, this.projectConfig.paths.site),
       src: path.join(projectPath, this.projectConfig.paths.src),
@@ -266,6 +330,59 @@ class WebGenBuilder {
     };
   }
 
+  /**
+   * Resolve how missing content blocks / unknown layouts are handled
+   * Priority: --missing-content flag > project build.missingContentPolicy >
+   * build_config validation.missingContentPolicy > "warn".
+   * Placeholders are only rendered in development builds (otherwise "warn").
+   * @returns {string} "warn" | "error" | "placeholder"
+   */
+  resolveMissingContentPolicy() {
+    const policies = ['warn', 'error', 'placeholder'];
+    const policy = this.buildOptions.missingContent ||
+      this.projectConfig.build.missingContentPolicy ||
+      (this.buildConfig.validation && this.buildConfig.validation.missingContentPolicy) ||
+      'warn';
+    
+    if (!policies.includes(policy)) {
+      throw new Error(`Unknown missing content policy '${policy}' (expected: ${policies.join(', ')})`);
+    }
+    
+    if (policy === 'placeholder' && this.projectConfig.build.mode !== 'development') {
+      console.log(`[Builder] Placeholder policy requires build.mode "development"; using "warn"`);
+      return 'warn';
+    }
+    
+    return policy;
+  }
+
+  /**
+   * Load build hooks (see hooks.js)
+   * build_config.json hooks resolve from the repo root, project_config.json
+   * hooks from the project directory.
+   * @returns {HookManager} Registered hooks
+   */
+  loadHooks() {
+    const hooks = new HookManager(this.projectConfig.projectName);
+    hooks.register(this.buildConfig.hooks, process.cwd());
+    hooks.register(this.projectConfig.hooks, this.paths.project);
+    return hooks;
+  }
+
+  /**
+   * Payload for beforeBuild / afterBuild hooks
+   * @param {Object} options - Build options
+   * @returns {Object} Hook context
+   */
+  hookContext(options) {
+    return {
+      projectId: this.projectId,
+      projectConfig: this.projectConfig,
+      paths: this.paths,
+      options
+    };
+  }
+
   // ==========================================================================
   // BUILD ORCHESTRATION (KEPT - 75% Core Logic)
   // ==========================================================================
@@ -276,6 +393,7 @@ class WebGenBuilder {
    */
   async build(options = {}) {
     const startTime = Date.now();
+    this.renderStats = { workers: 0, upToDate: 0, pages: [], published: {} };
     
     console.log('='.repeat(60));
     console.log(`Building: ${this.projectConfig.projectName}`);
@@ -285,10 +403,21 @@ class WebGenBuilder {
     console.log('='.repeat(60));
     
     try {
+      if (!(await this.hooks.run('beforeBuild', this.hookContext(options)))) {
+        throw new Error('Build vetoed by beforeBuild hook');
+      }
+      
       // Initialize renderer
       await this.renderer.init();
+      this.renderer.structuredData = this.createStructuredData();
+      
+      // Validate page/content JSON before rendering
+      this.validateSources();
+      
+      // Incremental build cache (--full-rebuild starts from an empty manifest)
+      this.cache = this.createBuildCache(options);
       
-      // Build dependency graph
+      // Build dependency graph (templates/assets per page from the last build's manifest)
       this.buildDependencyGraph();
       
       // Execute build based on mode
@@ -300,9 +429,26 @@ class WebGenBuilder {
         await this.buildAllPages();
       }
       
+      // Fail loudly on missing blocks / unknown layouts (policy "error")
+      this.enforceContentPolicy();
+      this.reportStructuredData();
+      
+      // sitemap.xml + robots.txt for the target environment
+      this.writeSitemap();
+      
       // Copy assets
       await this.copyAssets();
       
+      // Full builds only: drop outputs this build no longer produces
+      if (!options.file || options.fullRebuild) {
+        this.removeStaleOutputs();
+      }
+      
+      // Check internal links / assets / anchors and audit SEO (partial builds
+      // too: the new output folder starts without the previous _reports)
+      this.checkLinks(options);
+      this.auditSeo();
+      
       // Create symlink to latest
       await this.createLatestSymlink();
       
@@ -314,12 +460,25 @@ class WebGenBuilder {
         await this.promoteToStable();
       }
       
+      // Per-page render timings
+      this.writeBuildReport(startTime);
+      
+      // Persist the build manifest for the next incremental build
+      if (this.cache) {
+        this.cache.save(this.paths.output, { partial: Boolean(options.file && !options.fullRebuild) });
+      }
+      
       // Update build timestamp
       this.updateBuildTimestamp();
       
+      await this.hooks.run('afterBuild', this.hookContext(options));
+      
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      const failed = this.failedPages().length;
       console.log('='.repeat(60));
-      console.log(`✓ Build complete in ${elapsed}s`);
+      console.log(failed
+        ? `✗ Build finished in ${elapsed}s with ${failed} page(s) that failed to render`
+        : `✓ Build complete in ${elapsed}s`);
       console.log(`Output: ${this.paths.output}`);
       if (this.projectConfig.build.promoteToDist || options.promote) {
         console.log(`Promoted to: ${this.paths.dist}`);
@@ -335,198 +494,921 @@ class WebGenBuilder {
   }
 
   /**
-   * Build dependency graph from menu structure
-   * KEPT - Core logic unchanged
+   * Resolve the deployment environment the build targets
+   * Priority: --env flag > project build.environment > "production"
+   * @returns {string} Environment name (key of deployment.environments)
    */
-  buildDependencyGraph() {
-    console.log('[Builder] Building dependency graph...');
+  resolveEnvironment() {
+    const environment = this.buildOptions.environment || this.projectConfig.build.environment || 'production';
+    const environments = (this.projectConfig.deployment && this.projectConfig.deployment.environments) || {};
     
-    const menu = this.renderer.menu;
+    if (Object.keys(environments).length && !environments[environment]) {
+      throw new Error(`Unknown environment '${environment}' (expected: ${Object.keys(environments).join(', ')})`);
+    }
+    return environment;
+  }
+
+  /**
+   * Write sitemap.xml and robots.txt (see sitemap.js)
+   * Only pages published by this build are listed (not failed or vetoed ones).
+   * Base URL: deployment.environments.<env>.url, else site_config branding.siteUrl.
+   * Settings: build_config.json "sitemap", overridden by project build.sitemap.
+   */
+  writeSitemap() {
+    const settings = {
+      enabled: true,
+      changefreq: null,
+      disallowAllOn: ['staging'],
+      ...(this.buildConfig.sitemap || {}),
+      ...(this.projectConfig.build.sitemap || {})
+    };
+    if (!settings.enabled) return;
     
-    const processMenuItem = (item) => {
-      if (item.id) {
-        const pageId = item.id;
-        try {
-          const pageConfig = this.renderer.loadPageConfig(pageId, 'en');
-          const contentId = pageConfig.contentSource || pageConfig.contentSources[0];
-          
-          if (!this.dependencyGraph[contentId]) {
-            this.dependencyGraph[contentId] = [];
-          }
-          this.dependencyGraph[contentId].push(pageId);
-        } catch (e) {
-          // Silent catch for non-existent pages
-        }
-      }
-      if (item.children) {
-        item.children.forEach(processMenuItem);
+    const environment = this.resolveEnvironment();
+    const environments = (this.projectConfig.deployment && this.projectConfig.deployment.environments) || {};
+    const baseUrl = (environments[environment] && environments[environment].url) ||
+      (this.renderer.siteConfig.branding && this.renderer.siteConfig.branding.siteUrl);
+    
+    const sitemap = new SitemapGenerator(this.renderer, { baseUrl, changefreq: settings.changefreq });
+    const disallowAll = settings.disallowAllOn.includes(environment);
+    const entries = sitemap.collectEntries(this.renderStats.published);
+    
+    helpers.writeFileAtomic(path.join(this.paths.output, 'sitemap.xml'), sitemap.renderSitemap(entries));
+    helpers.writeFileAtomic(path.join(this.paths.output, 'robots.txt'), sitemap.renderRobots(disallowAll));
+    
+    console.log(
+      `[Builder] ✓ Generated: sitemap.xml (${entries.length} URLs), ` +
+      `robots.txt (${environment}${disallowAll ? ', disallow all' : ''})`
+    );
+  }
+
+  /**
+   * JSON-LD builder for this build (null when disabled)
+   * Settings: build_config.json "structuredData", overridden by project build.structuredData
+   * @returns {StructuredDataBuilder|null}
+   */
+  createStructuredData() {
+    const settings = {
+      enabled: true,
+      ...(this.buildConfig.structuredData || {}),
+      ...(this.projectConfig.build.structuredData || {})
+    };
+    if (!settings.enabled) return null;
+    
+    const { enabled, ...options } = settings;
+    return new StructuredDataBuilder(this.renderer, options);
+  }
+
+  /**
+   * Summarize JSON-LD nodes skipped for missing required schema.org fields
+   */
+  reportStructuredData() {
+    const structuredData = this.renderer.structuredData;
+    if (!structuredData || structuredData.issues.length === 0) return;
+    console.warn(`[Builder] ⚠ ${structuredData.issues.length} structured data issue(s); affected JSON-LD nodes were skipped`);
+  }
+
+  /**
+   * Check links in the generated output (see link_checker.js)
+   * Settings: build_config.json "linkCheck", overridden by project build.linkCheck;
+   * --fail-on-broken-links forces failOnBroken. Writes _reports/link-check.json.
+   * @param {Object} options - Build options
+   */
+  checkLinks(options = {}) {
+    const settings = {
+      enabled: true,
+      failOnBroken: false,
+      checkAnchors: true,
+      ignore: [],
+      ...(this.buildConfig.linkCheck || {}),
+      ...(this.projectConfig.build.linkCheck || {})
+    };
+    if (options.failOnBrokenLinks) settings.failOnBroken = true;
+    if (!settings.enabled) return;
+    
+    console.log('[Builder] Checking links...');
+    const result = new LinkChecker(this.paths.output, settings).run();
+    
+    const reportDir = path.join(this.paths.output, '_reports');
+    fs.mkdirSync(reportDir, { recursive: true });
+    const reportPath = path.join(reportDir, 'link-check.json');
+    fs.writeFileSync(reportPath, JSON.stringify({
+      projectId: this.projectId,
+      generatedAt: new Date().toISOString(),
+      ...result
+    }, null, 2), 'utf8');
+    
+    result.issues.slice(0, 20).forEach(issue => {
+      console.warn(`[Links] ✗ ${issue.file}:${issue.line} <${issue.tag}> ${issue.url} → ${issue.message}`);
+    });
+    if (result.issues.length > 20) {
+      console.warn(`[Links] ... ${result.issues.length - 20} more (see ${reportPath})`);
+    }
+    
+    const summary = `${result.checked} internal link(s) in ${result.files} page(s), ` +
+      `${result.issues.length} broken, ${result.external} external skipped`;
+    if (result.issues.length && settings.failOnBroken) {
+      throw new Error(`Link check failed: ${summary}`);
+    }
+    console.log(`[Builder] ${result.issues.length ? '⚠' : '✓'} Link check: ${summary}`);
+  }
+
+  /**
+   * Create the incremental build cache for this build (see build_cache.js)
+   * Enabled by build_config.json build.incremental, overridden by project build.incremental.
+   * Unchanged pages/assets of the previous build are reused in a new timestamped
+   * folder (hard-linked, see BuildCache.reuseOutput).
+   * @param {Object} options - Build options
+   * @returns {BuildCache|null}
+   */
+  createBuildCache(options = {}) {
+    const projectSetting = this.projectConfig.build.incremental;
+    const enabled = projectSetting !== undefined
+      ? projectSetting
+      : (this.buildConfig.build || {}).incremental !== false;
+    if (!enabled) return null;
+    
+    const manifestPath = path.join(this.systemConfig.paths.outputRoot, this.projectId, '.build-cache.json');
+    const cache = new BuildCache(manifestPath, { ignorePrevious: options.fullRebuild });
+    
+    if (options.fullRebuild) {
+      console.log('[Builder] Full rebuild: build cache bypassed');
+    } else if (cache.previous.output && path.resolve(cache.previous.output) !== path.resolve(this.paths.output)) {
+      console.log(`[Builder] ↺ Reusing unchanged output of previous build: ${path.basename(cache.previous.output)}`);
+    }
+    
+    this.builderHash = this.computeBuilderHash(cache);
+    return cache;
+  }
+
+  /**
+   * Hash of the inputs every page shares beyond its tracked files: build/project
+   * config, builder code, plugins, hooks, missing content policy and the set of
+   * template files (so added/removed project overrides invalidate every page)
+   * @param {BuildCache} cache - Build cache (file hashing)
+   * @returns {string} - sha1 hex
+   */
+  computeBuilderHash(cache) {
+    const projectConfig = { ...this.projectConfig };
+    delete projectConfig.lastBuilt;
+    delete projectConfig.lastModified;
+    
+    const hookSources = Object.values(this.hooks.hooks).flat().map(hook => hook.source);
+    const pluginSources = Object.values(this.elements.types)
+      .map(type => type.source)
+      .filter(source => source !== 'built-in' && source !== 'inline');
+    
+    return cache.hashInputs([
+      ...cache.listFiles(__dirname, file => /\.(js|json)$/.test(file)),
+      ...hookSources,
+      ...pluginSources
+    ], [
+      projectConfig,
+      this.renderer.missingContentPolicy,
+      this.renderer.templateFiles,
+      this.renderer.partialFiles
+    ]);
+  }
+
+  /**
+   * Source files of one output page known before rendering: page JSON, every
+   * content source (translated + fallback) and the site config files
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @returns {string[]} - Paths relative to the working directory
+   */
+  pageSources(pageId, language) {
+    return [
+      ...this.renderer.pageSourceFiles(pageId, language),
+      ...this.siteConfigFiles()
+    ].map(file => this.normalizePath(file));
+  }
+
+  /**
+   * Site config files every page depends on (_menu*.json, site_config.json, layouts, ...)
+   * @returns {string[]}
+   */
+  siteConfigFiles() {
+    if (!fs.existsSync(this.paths.site)) return [];
+    return fs.readdirSync(this.paths.site)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(this.paths.site, file));
+  }
+
+  /**
+   * Path relative to the working directory (dependency graph / manifest keys)
+   * @param {string} file - File path
+   * @returns {string}
+   */
+  normalizePath(file) {
+    return path.relative(process.cwd(), path.resolve(file));
+  }
+
+  /**
+   * Delete pages and assets of the previous build this build no longer produces
+   */
+  removeStaleOutputs() {
+    if (!this.cache) return;
+    
+    this.cache.staleOutputs().forEach(file => {
+      const target = path.join(this.paths.output, file);
+      if (fs.existsSync(target)) {
+        fs.unlinkSync(target);
+        console.log(`[Builder] ✗ Removed stale output: ${file}`);
       }
+    });
+  }
+
+  /**
+   * SEO audit of the generated output (see seo_audit.js)
+   * Settings: build_config.json "seoAudit", overridden by project build.seoAudit.
+   * Writes _reports/seo-report.json and _reports/seo-report.html.
+   */
+  auditSeo() {
+    const settings = {
+      enabled: true,
+      failOnErrors: false,
+      ...(this.buildConfig.seoAudit || {}),
+      ...(this.projectConfig.build.seoAudit || {})
     };
+    if (!settings.enabled) return;
+    
+    console.log('[Builder] Auditing SEO...');
+    const auditor = new SeoAuditor(this.paths.output, settings);
+    const report = {
+      projectId: this.projectId,
+      generatedAt: new Date().toISOString(),
+      ...auditor.run()
+    };
+    
+    const reportDir = path.join(this.paths.output, '_reports');
+    fs.mkdirSync(reportDir, { recursive: true });
+    const reportPath = path.join(reportDir, 'seo-report.json');
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+    fs.writeFileSync(path.join(reportDir, 'seo-report.html'), auditor.renderHtml(report), 'utf8');
+    
+    Object.keys(report.counts).forEach(kind => {
+      console.log(`[SEO] ${kind}: ${report.counts[kind]}`);
+    });
+    report.issues.filter(issue => issue.severity === 'error').slice(0, 20).forEach(issue => {
+      console.warn(`[SEO] ✗ ${issue.file} → ${issue.kind}: ${issue.message}`);
+    });
+    
+    const summary = `${report.pages} page(s), ${report.errors} error(s), ${report.warnings} warning(s) ` +
+      `(see ${path.join(reportDir, 'seo-report.html')})`;
+    if (report.errors && settings.failOnErrors) {
+      throw new Error(`SEO audit failed: ${summary}`);
+    }
+    console.log(`[Builder] ${report.errors || report.warnings ? '⚠' : '✓'} SEO audit: ${summary}`);
+  }
+
+  /**
+   * Validate _menu.json and all *_page.json and *_content.json files
+   * Reports file + JSON path for every issue; throws in strictMode
+   */
+  validateSources() {
+    const validation = this.buildConfig.validation || {};
+    if (validation.validateOnBuild === false) return;
+    
+    console.log('[Builder] Validating page and content files...');
+    
+    const validator = new ContentValidator(this.paths, this.projectConfig, this.buildConfig, this.elements);
+    const { errors, warnings, filesChecked } = validator.validateProject();
+    
+    warnings.forEach(issue => {
+      console.warn(`[Validator] ⚠ ${issue.file}:${issue.line}:${issue.column} → ${issue.path}: ${issue.message}`);
+    });
+    errors.forEach(issue => {
+      console.error(`[Validator] ✗ ${issue.file}:${issue.line}:${issue.column} → ${issue.path}: ${issue.message}`);
+    });
+    
+    if (errors.length > 0 && validation.strictMode) {
+      throw new Error(`Validation failed: ${errors.length} error(s) in ${filesChecked} files (strictMode)`);
+    }
+    
+    console.log(
+      `[Builder] ✓ Validated ${filesChecked} files ` +
+      `(${errors.length} error(s), ${warnings.length} warning(s))`
+    );
+  }
+
+  /**
+   * Throw when rendering recorded missing content or failed pages under the "error" policy
+   * Failed pages fail the build's exit code under every policy (see main)
+   */
+  enforceContentPolicy() {
+    const issues = this.renderer.contentIssues;
+    if (issues.length === 0) return;
     
-    menu.primaryNavigation.items.forEach(processMenuItem);
+    if (this.renderer.missingContentPolicy === 'error') {
+      throw new Error(
+        `${issues.length} missing block/layout/render issue(s):\n` +
+        issues.map(i => `  - ${i.language}/${i.pageId}${i.section === null ? '' : ` sections[${i.section}]`}: ${i.message}`).join('\n')
+      );
+    }
     
-    console.log('[Builder] Dependency graph complete');
+    const failed = issues.filter(issue => issue.kind === 'render-error').length;
+    if (issues.length > failed) {
+      console.warn(`[Builder] ⚠ ${issues.length - failed} missing block/layout issue(s) (policy: ${this.renderer.missingContentPolicy})`);
+    }
+    if (failed > 0) {
+      console.error(`[Builder] ✗ ${failed} page(s) failed to render`);
+    }
   }
 
   /**
-   * Build all pages in parallel
-   * KEPT - Core parallel rendering logic unchanged
+   * Build dependency graph from menu structure (primary and footer navigation)
+   * ENHANCED - Tracks every input per page and language:
+   *   sources   - *_page.json and every content source (translated + fallback)
+   *   site      - _menu*.json, site_config.json and the other site config files
+   *   templates - layouts/partials the page used in the last build (all templates when unknown)
+   *   assets    - assets the page referenced in the last build
+   * dependencyGraph.files maps each input file to the pages ("<lang>/<pageId>") that use it;
+   * contentSources maps content ids to pages for files the graph has not seen yet;
+   * hubs records where each page reads its page JSON and content (own hub + allowedHubs).
    */
-  async buildAllPages() {
+  buildDependencyGraph() {
+    console.log('[Builder] Building dependency graph...');
+    
+    this.dependencyGraph = { pages: {}, files: {}, contentSources: {}, hubs: {} };
+    const allTemplates = [...new Set([
+      ...Object.values(this.renderer.templateFiles),
+      ...Object.values(this.renderer.partialFiles)
+    ].map(file => this.normalizePath(file)))];
+    
+    this.collectMenuPages().forEach(pageId => {
+      try {
+        const pageConfig = this.renderer.loadPageConfig(pageId, this.renderer.languages.default);
+        const pageHub = this.renderer.findMenuItemById(pageId).srcFile.split('/')[0];
+        this.dependencyGraph.hubs[pageId] = {
+          page: pageHub,
+          content: [pageConfig.hub || pageHub, ...(pageConfig.allowedHubs || [])]
+        };
+        (pageConfig.contentSources || [pageConfig.contentSource]).filter(Boolean).forEach(contentId => {
+          const pages = this.dependencyGraph.contentSources[contentId] || [];
+          if (!pages.includes(pageId)) pages.push(pageId);
+          this.dependencyGraph.contentSources[contentId] = pages;
+        });
+        
+        this.renderer.languages.supported.forEach(language => {
+          const previous = this.cache && this.cache.previousPage(this.pageOutputFile(pageId, language));
+          this.setPageDependencies(pageId, language, {
+            sources: this.pageSources(pageId, language),
+            templates: previous ? Object.keys(previous.inputs).filter(file => file.endsWith('.hbs')) : allTemplates,
+            assets: previous ? previous.assets || [] : []
+          });
+        });
+      } catch (e) {
+        // Silent catch for non-existent pages
+      }
+    });
+    
+    console.log(
+      `[Builder] Dependency graph complete (${Object.keys(this.dependencyGraph.pages).length} pages, ` +
+      `${Object.keys(this.dependencyGraph.files).length} input files)`
+    );
+  }
+
+  /**
+   * Page ids in menu order (primary navigation, then footer; children included)
+   * @returns {string[]}
+   */
+  collectMenuPages() {
     const menu = this.renderer.menu;
     const pages = [];
     
     const collectPages = (item) => {
-      if (item.id) pages.push(item.id);
+      if (item.id && !pages.includes(item.id)) pages.push(item.id);
       if (item.children) item.children.forEach(collectPages);
     };
     
     menu.primaryNavigation.items.forEach(collectPages);
     menu.footerNavigation.items.forEach(collectPages);
+    return pages;
+  }
+
+  /**
+   * Set (or replace) a page's inputs in the dependency graph
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @param {Object} dependencies - { sources, templates, assets } (paths relative to the working directory)
+   */
+  setPageDependencies(pageId, language, dependencies) {
+    const key = `${language}/${pageId}`;
+    const graph = this.dependencyGraph;
     
-    console.log(`[Builder] Rendering ${pages.length} pages...`);
+    const previous = graph.pages[key];
+    if (previous) {
+      [...previous.sources, ...previous.templates, ...previous.assets].forEach(file => {
+        graph.files[file] = (graph.files[file] || []).filter(page => page !== key);
+      });
+    }
     
-    const renderQueue = pages.map(async (pageId) => {
-      try {
-        await this.buildPage(pageId);
-      } catch (error) {
-        console.error(`[Builder] ✗ Error rendering ${pageId}: ${error.message}`);
-      }
+    graph.pages[key] = { pageId, language, ...dependencies };
+    [...dependencies.sources, ...dependencies.templates, ...dependencies.assets].forEach(file => {
+      const pages = graph.files[file] || [];
+      if (!pages.includes(key)) pages.push(key);
+      graph.files[file] = pages;
     });
+  }
+
+  /**
+   * Build all pages, once per supported language
+   * ENHANCED - Unchanged pages are skipped (build cache); the rest go to renderPages()
+   * @param {string[]} languages - Languages to build (default: all supported)
+   */
+  async buildAllPages(languages = this.renderer.languages.supported) {
+    const pages = this.collectMenuPages();
     
-    await Promise.all(renderQueue);
+    console.log(`[Builder] Rendering ${pages.length} pages × ${languages.length} language(s) (${languages.join(', ')})...`);
+    
+    const renderQueue = [];
+    let upToDate = 0;
+    languages.forEach(language => {
+      pages.forEach(pageId => {
+        if (this.isPageCurrent(pageId, language)) {
+          upToDate++;
+        } else {
+          renderQueue.push({ pageId, language });
+        }
+      });
+    });
+    
+    this.renderStats.upToDate += upToDate;
+    await this.renderPages(renderQueue);
+    
+    if (upToDate > 0) {
+      console.log(`[Builder] ↺ Up to date: ${upToDate} page(s) (build cache)`);
+    }
+    
+    // Root index.html → default language tree
+    this.renderer.writeHTML('index.html', this.renderer.renderLanguageRedirect());
   }
 
   /**
-   * Build pages affected by content change
-   * KEPT - Core dependency logic unchanged
+   * Languages affected by a source file change
+   * Edits to the fallback language reach every language through block fallback
+   * @param {string} changedFile - Changed file path
+   * @returns {string[]} Languages to rebuild
    */
-  async buildAffectedPages(changedFile) {
-    if (changedFile.includes('.content.json')) {
-      const contentId = path.basename(changedFile, '.content.json');
-      const affected = this.dependencyGraph[contentId] || [];
-      
-      console.log(`[Builder] Content '${contentId}' changed, rebuilding ${affected.length} pages`);
-      
-      await Promise.all(affected.map(pageId => this.buildPage(pageId)));
-    } else {
-      console.log('[Builder] Non-content file changed, rebuilding all pages');
+  languagesForFile(changedFile) {
+    const { supported, fallback } = this.renderer.languages;
+    const match = changedFile.split(path.sep).join('/').match(/\/src\/([^/]+)\//);
+    if (!match || match[1] === fallback || !supported.includes(match[1])) return supported;
+    return [match[1]];
+  }
+
+  /**
+   * Pages ("<lang>/<pageId>") affected by a changed file
+   * Known inputs come from the dependency graph; new *_content.json / *_page.json
+   * files are matched by name, in the hubs the page reads. Asset files only need copying.
+   * @param {string} changedFile - Changed file path
+   * @returns {string[]|null} Page keys, or null when the file is not tracked
+   */
+  affectedPages(changedFile) {
+    const file = this.normalizePath(changedFile);
+    const graph = this.dependencyGraph;
+    if (graph.files[file]) return graph.files[file];
+    
+    const name = path.basename(file);
+    const hub = path.basename(path.dirname(file));
+    const languages = this.languagesForFile(file);
+    if (name.endsWith('_content.json')) {
+      // contentSources are keyed by content id, i.e. the file name without ".json"
+      const pages = (graph.contentSources[path.basename(file, '.json')] || [])
+        .filter(pageId => graph.hubs[pageId].content.includes(hub));
+      return languages.flatMap(language => pages.map(pageId => `${language}/${pageId}`));
+    }
+    if (name.endsWith('_page.json')) {
+      const pageId = name.slice(0, -'_page.json'.length);
+      if (!graph.hubs[pageId] || graph.hubs[pageId].page !== hub) return [];
+      return languages.map(language => `${language}/${pageId}`).filter(key => graph.pages[key]);
+    }
+    
+    const isAsset = this.assetMappings().some(({ source }) => !path.relative(source, file).startsWith('..'));
+    return isAsset ? [] : null;
+  }
+
+  /**
+   * Build pages affected by changed files
+   * ENHANCED - Uses the complete dependency graph; untracked files rebuild all pages
+   * @param {string|string[]} changedFiles - Changed file path(s)
+   */
+  async buildAffectedPages(changedFiles) {
+    const files = [].concat(changedFiles);
+    const affected = new Set();
+    const untracked = [];
+    
+    files.forEach(file => {
+      const pages = this.affectedPages(file);
+      if (pages === null) {
+        untracked.push(file);
+      } else {
+        console.log(`[Builder] Changed: ${this.normalizePath(file)} → ${pages.length} page(s)`);
+        pages.forEach(key => affected.add(key));
+      }
+    });
+    
+    if (untracked.length) {
+      console.log(`[Builder] Untracked file changed (${untracked.map(file => path.basename(file)).join(', ')}), rebuilding all pages`);
       await this.buildAllPages();
+      return;
     }
+    
+    console.log(`[Builder] Rebuilding ${affected.size} affected page(s)`);
+    await this.renderPages([...affected].sort().map(key => {
+      const { pageId, language } = this.dependencyGraph.pages[key];
+      return { pageId, language };
+    }));
+    
+    // Pages this build did not touch stay published as they are
+    Object.keys(this.dependencyGraph.pages).filter(key => !affected.has(key)).forEach(key => {
+      const { pageId, language, sources } = this.dependencyGraph.pages[key];
+      const filename = this.pageOutputFile(pageId, language);
+      if (this.cache && this.cache.previousPage(filename)) {
+        this.cache.keepPage(this.paths.output, filename);
+      }
+      this.publishExistingPage(pageId, language, sources);
+    });
+    
+    // Root index.html → default language tree (not carried over from the previous build)
+    this.renderer.writeHTML('index.html', this.renderer.renderLanguageRedirect());
   }
 
   /**
-   * Build individual page
-   * FIXED - Pass only filename to renderer.writeHTML() to avoid path recursion
+   * Output file of a page, relative to the output directory
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @returns {string} - e.g. en/index.html, es/markets.html
    */
-  async buildPage(pageId, language = 'en') {
+  pageOutputFile(pageId, language) {
+    return path.join(language, pageId === 'home' ? 'index.html' : `${pageId}.html`);
+  }
+
+  /**
+   * Whether a page's output is unchanged since the last build (and keep its cache entry)
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @returns {boolean}
+   */
+  isPageCurrent(pageId, language) {
+    if (!this.cache) return false;
+    const filename = this.pageOutputFile(pageId, language);
+    let sources;
     try {
-      const html = await this.renderer.renderPage(pageId, language);
-      let filename = `${pageId}.html`;
-      if (pageId === 'home') filename = 'index.html';
-      
-      // BUGFIX: Pass only filename, not full path
-      // renderer.writeHTML() will join with this.paths.output internally
-      this.renderer.writeHTML(filename, html);
-      console.log(`[Builder] ✓ Generated: ${filename}`);
+      sources = this.pageSources(pageId, language);
     } catch (error) {
-      console.error(`[Builder] ✗ Error on ${pageId}: ${error.message}`);
-      throw error;
+      // Unreadable page config: render it, so the failure is recorded (renderPages)
+      return false;
     }
+    if (!this.cache.isCurrent(this.paths.output, filename, sources, this.builderHash)) {
+      return false;
+    }
+    this.cache.keepPage(this.paths.output, filename);
+    this.publishExistingPage(pageId, language, sources);
+    return true;
   }
 
-  // ==========================================================================
-  // ASSET MANAGEMENT (ENHANCED - 25%)
-  // ==========================================================================
+  /**
+   * Record a page as published (sitemap entries come from this list)
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @param {string} html - Page HTML as written
+   * @param {string[]} sources - Page sources (pageSources())
+   */
+  publishPage(pageId, language, html, sources) {
+    const siteFiles = this.siteConfigFiles().map(file => this.normalizePath(file));
+    this.renderStats.published[`${language}/${pageId}`] = {
+      pageId,
+      language,
+      noindex: NOINDEX_META.test(html),
+      sources: sources.filter(file => !siteFiles.includes(file))
+    };
+  }
 
   /**
-   * Copy assets with shared/project layering
-   * ENHANCED - Supports shared assets and multiple asset types
+   * Record a page this build did not render (up to date / untouched) as published,
+   * if its output exists
    */
-  async copyAssets() {
-    console.log('[Builder] Copying assets...');
+  publishExistingPage(pageId, language, sources) {
+    const file = path.join(this.paths.output, this.pageOutputFile(pageId, language));
+    if (fs.existsSync(file)) {
+      this.publishPage(pageId, language, fs.readFileSync(file, 'utf8'), sources);
+    }
+  }
+
+  /**
+   * Number of render worker threads for a batch of pages (0 = render on the main thread)
+   * Priority: --workers flag > project build.renderWorkers > build_config build.renderWorkers.
+   * "auto" uses one worker per CPU core minus one; never more workers than pages.
+   * @param {number} pageCount - Pages to render
+   * @returns {number}
+   */
+  resolveRenderWorkers(pageCount) {
+    let setting = this.buildOptions.workers;
+    if (setting === undefined || setting === null) setting = this.projectConfig.build.renderWorkers;
+    if (setting === undefined || setting === null) setting = (this.buildConfig.build || {}).renderWorkers;
     
-    // 1. Copy shared assets first (base layer)
-    if (this.projectConfig.build.useSharedAssets) {
-      const sharedAssetsPath = path.join(this.paths.shared, 'assets');
-      if (fs.existsSync(sharedAssetsPath)) {
-        this.copyDirectory(
-          sharedAssetsPath,
-          path.join(this.paths.output, 'assets', 'shared')
-        );
+    const workers = setting === 'auto' ? os.cpus().length - 1 : parseInt(setting, 10) || 0;
+    if (workers < 1 || pageCount < 2) return 0;
+    return Math.min(workers, pageCount);
+  }
+
+  /**
+   * Render pages and write them in queue order
+   * ENHANCED - Optionally distributed across worker_threads (see render_pool.js);
+   * output is written in the same order either way, and every page's render time
+   * goes into the build report.
+   * A page that fails (e.g. invalid JSON) is recorded as a content issue; see enforceContentPolicy()
+   * @param {Array} pages - [{ pageId, language }]
+   */
+  async renderPages(pages) {
+    const workers = this.resolveRenderWorkers(pages.length);
+    let pool = null;
+    if (workers) {
+      console.log(`[Builder] Starting ${workers} render worker(s)...`);
+      pool = await new RenderPool(workers, {
+        projectId: this.projectId,
+        options: this.buildOptions,
+        paths: this.paths
+      }).start();
+      this.renderStats.workers = Math.max(this.renderStats.workers, workers);
+    }
+    
+    try {
+      // Workers get the whole queue up front; the main thread renders one page at a
+      // time (Handlebars is synchronous, and it keeps the per-page timings honest)
+      const renders = pages.map(({ pageId, language }) => {
+        const rendering = pool ? pool.render(pageId, language) : null;
+        // Failures are reported in queue order below
+        if (rendering) rendering.catch(() => {});
+        return { pageId, language, rendering };
+      });
+      
+      for (const page of renders) {
+        try {
+          page.sources = this.pageSources(page.pageId, page.language);
+          const result = await (page.rendering || this.renderOnMainThread(page.pageId, page.language));
+          this.writePage(page, result);
+        } catch (error) {
+          this.recordRenderFailure(page, error);
+        }
       }
+    } finally {
+      if (pool) await pool.close();
     }
+  }
+
+  /**
+   * Record a page that failed to render
+   * The previous build's copy is kept (reused) and stays in the manifest,
+   * so a broken source file does not take the live page down.
+   * @param {Object} page - { pageId, language }
+   * @param {Error} error - Render error
+   */
+  recordRenderFailure({ pageId, language }, error) {
+    const filename = this.pageOutputFile(pageId, language);
+    console.error(`[Builder] ✗ Error rendering ${language}/${pageId}: ${error.message}`);
     
-    // 2. Copy project assets (overwrites shared if conflicts)
-    if (fs.existsSync(this.paths.assets)) {
-      this.copyDirectory(
-        this.paths.assets,
-        path.join(this.paths.output, 'assets')
-      );
+    this.renderer.contentIssues.push({
+      kind: 'render-error',
+      target: filename,
+      pageId,
+      language,
+      section: null,
+      message: error.message
+    });
+    this.renderStats.pages.push({
+      page: `${language}/${pageId}`,
+      output: filename.split(path.sep).join('/'),
+      worker: null,
+      renderMs: 0,
+      status: 'failed',
+      error: error.message
+    });
+    
+    if (this.cache && this.cache.previousPage(filename)) {
+      this.cache.keepPage(this.paths.output, filename);
+      console.warn(`[Builder] ⚠ Keeping previous output of ${filename}`);
+      const inputs = Object.keys(this.cache.previousPage(filename).inputs);
+      this.publishExistingPage(pageId, language, inputs.filter(file => file.endsWith('.json')));
     }
+  }
+
+  /**
+   * Pages that failed to render in this build
+   * @returns {Array} - renderStats.pages entries with status "failed"
+   */
+  failedPages() {
+    return this.renderStats.pages.filter(page => page.status === 'failed');
+  }
+
+  /**
+   * Render one page in this thread
+   * @returns {Promise<Object>} - { html, templates, renderMs, worker: 0 }
+   */
+  async renderOnMainThread(pageId, language) {
+    const started = performance.now();
+    const html = await this.renderer.renderPage(pageId, language);
+    const dependencies = this.renderer.pageDependencies[`${language}/${pageId}`] || { templates: [] };
+    return { html, templates: dependencies.templates, renderMs: performance.now() - started, worker: 0 };
+  }
+
+  /**
+   * Write a rendered page into the language output tree (/<lang>/...)
+   * FIXED - Pass only filename to renderer.writeHTML() to avoid path recursion
+   * ENHANCED - Records the templates/assets the page used (dependency graph + build cache)
+   * @param {Object} page - { pageId, language, sources }
+   * @param {Object} result - renderOnMainThread() / RenderPool.render() result
+   */
+  writePage({ pageId, language, sources }, result) {
+    const filename = this.pageOutputFile(pageId, language);
     
-    // 3. Copy shared styles
-    if (this.projectConfig.build.useSharedStyles) {
-      const sharedStylesPath = path.join(this.paths.shared, 'styles');
-      if (fs.existsSync(sharedStylesPath)) {
-        this.copyDirectory(
-          sharedStylesPath,
-          path.join(this.paths.output, 'styles', 'shared')
-        );
+    // Issues found in a worker are collected here (policy check, structured data summary)
+    if (result.worker) {
+      this.renderer.contentIssues.push(...result.contentIssues);
+      if (this.renderer.structuredData) {
+        result.structuredDataIssues.forEach(issue => {
+          this.renderer.structuredData.report(issue.pageId, issue.where, issue.message, issue.language);
+        });
       }
     }
     
-    // 4. Copy project styles
-    if (fs.existsSync(this.paths.styles)) {
-      this.copyDirectory(
-        this.paths.styles,
-        path.join(this.paths.output, 'styles')
-      );
+    this.renderStats.pages.push({
+      page: `${language}/${pageId}`,
+      output: filename.split(path.sep).join('/'),
+      worker: result.worker,
+      renderMs: Math.round(result.renderMs * 10) / 10,
+      status: result.html === null ? 'vetoed' : 'rendered'
+    });
+    
+    if (result.html === null) {
+      console.log(`[Builder] ⊘ Skipped: ${filename} (vetoed by hook)`);
+      return;
     }
     
-    // 5. Copy shared scripts
-    if (this.projectConfig.build.useSharedScripts) {
-      const sharedScriptsPath = path.join(this.paths.shared, 'scripts');
-      if (fs.existsSync(sharedScriptsPath)) {
-        this.copyDirectory(
-          sharedScriptsPath,
-          path.join(this.paths.output, 'scripts', 'shared')
-        );
-      }
+    // BUGFIX: Pass only filename, not full path
+    // renderer.writeHTML() will join with this.paths.output internally
+    this.renderer.writeHTML(filename, result.html);
+    this.publishPage(pageId, language, result.html, sources);
+    
+    const templates = result.templates.map(file => this.normalizePath(file));
+    const assets = this.referencedAssets(result.html);
+    this.setPageDependencies(pageId, language, { sources, templates, assets });
+    if (this.cache) {
+      this.cache.recordPage(filename, {
+        pageId,
+        language,
+        builder: this.builderHash,
+        inputs: [...sources, ...templates],
+        assets
+      });
     }
+    console.log(`[Builder] ✓ Generated: ${filename}`);
+  }
+
+  /**
+   * Write _reports/build-report.json: render mode and per-page render times
+   * @param {number} startTime - Build start (Date.now())
+   */
+  writeBuildReport(startTime) {
+    const stats = this.renderStats;
+    const totalRenderMs = stats.pages.reduce((sum, page) => sum + page.renderMs, 0);
+    const report = {
+      projectId: this.projectId,
+      generatedAt: new Date().toISOString(),
+      elapsedMs: Date.now() - startTime,
+      rendering: {
+        mode: stats.workers ? 'worker-threads' : 'main-thread',
+        workers: stats.workers,
+        rendered: stats.pages.length,
+        upToDate: stats.upToDate,
+        totalRenderMs: Math.round(totalRenderMs * 10) / 10
+      },
+      pages: stats.pages
+    };
+    
+    const reportDir = path.join(this.paths.output, '_reports');
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(path.join(reportDir, 'build-report.json'), JSON.stringify(report, null, 2), 'utf8');
     
-    // 6. Copy project scripts
-    if (fs.existsSync(this.paths.scripts)) {
-      this.copyDirectory(
-        this.paths.scripts,
-        path.join(this.paths.output, 'scripts')
+    if (stats.pages.length > 0) {
+      const slowest = [...stats.pages]
+        .sort((a, b) => b.renderMs - a.renderMs)
+        .slice(0, 3)
+        .map(page => `${page.page} ${page.renderMs}ms`);
+      console.log(
+        `[Builder] Rendered ${stats.pages.length} page(s) in ${report.rendering.totalRenderMs}ms ` +
+        `(${stats.workers ? `${stats.workers} worker(s)` : 'main thread'}); slowest: ${slowest.join(', ')}`
       );
     }
+  }
+
+  // ==========================================================================
+  // ASSET MANAGEMENT (ENHANCED - 25%)
+  // ==========================================================================
+
+  /**
+   * Asset directories in copy order (later entries overwrite earlier ones)
+   * Shared layers only when enabled in the project build config
+   * @returns {Array} - [{ source, target }] (target relative to the output directory)
+   */
+  assetMappings() {
+    const build = this.projectConfig.build;
+    const mappings = [];
+    
+    // 1. Shared assets first (base layer), 2. project assets (overwrites shared if conflicts)
+    if (build.useSharedAssets) mappings.push({ source: path.join(this.paths.shared, 'assets'), target: path.join('assets', 'shared') });
+    mappings.push({ source: this.paths.assets, target: 'assets' });
+    
+    // 3. Shared styles, 4. project styles
+    if (build.useSharedStyles) mappings.push({ source: path.join(this.paths.shared, 'styles'), target: path.join('styles', 'shared') });
+    mappings.push({ source: this.paths.styles, target: 'styles' });
+    
+    // 5. Shared scripts, 6. project scripts
+    if (build.useSharedScripts) mappings.push({ source: path.join(this.paths.shared, 'scripts'), target: path.join('scripts', 'shared') });
+    mappings.push({ source: this.paths.scripts, target: 'scripts' });
+    
+    return mappings;
+  }
+
+  /**
+   * Asset source files a rendered page references (root-relative src/href)
+   * The last mapping providing a URL wins, matching copyAssets() overwrite order
+   * @param {string} html - Rendered page
+   * @returns {string[]} - Source paths relative to the working directory
+   */
+  referencedAssets(html) {
+    const mappings = this.assetMappings().reverse();
+    const assets = new Set();
+    const pattern = /\s(?:src|href)="\/([^"?#]+)/g;
+    let match;
+    
+    while ((match = pattern.exec(html))) {
+      let url;
+      try {
+        url = path.normalize(decodeURIComponent(match[1]));
+      } catch (error) {
+        // Invalid URL encoding (e.g. "/50%-off.html") is reported by the link checker
+        continue;
+      }
+      const source = mappings
+        .filter(({ target }) => url.startsWith(target + path.sep))
+        .map(({ source, target }) => path.join(source, path.relative(target, url)))
+        .find(file => fs.existsSync(file));
+      if (source) assets.add(this.normalizePath(source));
+    }
+    return [...assets].sort();
+  }
+
+  /**
+   * Copy assets with shared/project layering
+   * ENHANCED - Supports shared assets and multiple asset types
+   * ENHANCED - Skips files unchanged since the last build (build cache)
+   */
+  async copyAssets() {
+    console.log('[Builder] Copying assets...');
+    let copied = 0;
     
-    console.log('[Builder] ✓ Assets copied');
+    this.assetMappings().forEach(({ source, target }) => {
+      if (fs.existsSync(source)) {
+        copied += this.copyDirectory(source, path.join(this.paths.output, target), this.cache);
+      }
+    });
+    
+    const unchanged = this.cache ? Object.keys(this.cache.assets).length - copied : 0;
+    console.log(`[Builder] ✓ Assets copied (${copied} file(s)${unchanged ? `, ${unchanged} unchanged` : ''})`);
   }
 
   /**
    * Recursive directory copy helper
    * KEPT - Core copy logic unchanged
+   * ENHANCED - With a build cache, files unchanged since the last build are skipped
+   * @returns {number} Files copied
    */
-  copyDirectory(src, dest) {
-    if (!fs.existsSync(src)) return;
+  copyDirectory(src, dest, cache = null) {
+    if (!fs.existsSync(src)) return 0;
     
     fs.mkdirSync(dest, { recursive: true });
     
     const entries = fs.readdirSync(src, { withFileTypes: true });
+    let copied = 0;
     
     for (const entry of entries) {
       const srcPath = path.join(src, entry.name);
       const destPath = path.join(dest, entry.name);
       
       if (entry.isDirectory()) {
-        this.copyDirectory(srcPath, destPath);
-      } else {
+        copied += this.copyDirectory(srcPath, destPath, cache);
+      } else if (!cache || !cache.assetIsCurrent(this.paths.output, path.relative(this.paths.output, destPath), srcPath)) {
+        // The destination may be hard-linked to a previous build's file: replace, don't overwrite
+        if (cache) fs.rmSync(destPath, { force: true });
         fs.copyFileSync(srcPath, destPath);
+        copied++;
       }
     }
+    return copied;
   }
 
   // ==========================================================================
@@ -679,13 +1561,23 @@ if (require.main === module) {
     console.error('Usage: npm run build -- --project=ips-v1');
     console.error('       npm run build -- --project=ips-v1 --promote');
     console.error('       npm run build -- --project=ips-v1 --full-rebuild');
+    console.error('       npm run build -- --project=ips-v1 --missing-content=error|warn|placeholder');
+    console.error('       npm run build -- --project=ips-v1 --fail-on-broken-links');
+    console.error('       npm run build -- --project=ips-v1 --env=staging|production');
+    console.error('       npm run build -- --project=ips-v1 --workers=4|auto');
     process.exit(1);
   }
   
   // Create builder and execute
   try {
     const builder = new WebGenBuilder(options.projectId, options);
-    builder.build(options);
+    builder.build(options).then(() => {
+      // Pages that failed to render never pass as a successful build
+      if (builder.failedPages().length > 0) process.exitCode = 1;
+    }).catch(err => {
+      console.error(`✗ Build failed: ${err.message}`);
+      process.exit(1);
+    });
   } catch (error) {
     console.error(`[Builder] Fatal error: ${error.message}`);
     process.exit(1);
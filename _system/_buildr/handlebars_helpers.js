@@ -2,16 +2,21 @@
 // Handlebars helper registration for WebGen Phase -1
 // Exposes helper functions to Handlebars templates
 
-const Handlebars = require('handlebars');
 const helpers = require('./helpers');
 
 /**
  * Register all Handlebars helpers
+ * @param {Object} handlebars - Handlebars environment (Handlebars.create(), one per renderer)
  * @param {Object} buildConfig - Build configuration object
  * @param {string} mediaBasePath - CDN base path for media
  * @param {string} mediaFallbackPath - Local fallback path
+ * @param {ElementRegistry} elements - Element type registry (built-ins + plugins)
  */
-function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath) {
+function registerHandlebarsHelpers(handlebars, buildConfig, mediaBasePath, mediaFallbackPath, elements) {
+  
+  // Project markdown settings (project_config.json "markdown"); language comes from the render context
+  const markdownConfig = (buildConfig && buildConfig.markdown) || {};
+  const markdownOptions = (options) => ({ ...markdownConfig, language: options.data.root.language });
   
   // ============================================
   // BASIC TEXT HELPERS
@@ -21,23 +26,23 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Escape HTML entities
    * Usage: {{escapeHtml text}}
    */
-  Handlebars.registerHelper('escapeHtml', (str) => {
+  handlebars.registerHelper('escapeHtml', (str) => {
     return helpers.escapeHtml(str);
   });
   
   /**
-   * Convert markdown to HTML
+   * Convert markdown to HTML (sanitized, page:<id> links resolved)
    * Usage: {{{markdown content}}}
    */
-  Handlebars.registerHelper('markdown', (str) => {
-    return new Handlebars.SafeString(helpers.markdownToHtml(str));
+  handlebars.registerHelper('markdown', (str, options) => {
+    return new handlebars.SafeString(helpers.markdownToHtml(str, markdownOptions(options)));
   });
   
   /**
    * Uppercase text
    * Usage: {{upper text}}
    */
-  Handlebars.registerHelper('upper', (str) => {
+  handlebars.registerHelper('upper', (str) => {
     return typeof str === 'string' ? str.toUpperCase() : str;
   });
   
@@ -45,7 +50,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Lowercase text
    * Usage: {{lower text}}
    */
-  Handlebars.registerHelper('lower', (str) => {
+  handlebars.registerHelper('lower', (str) => {
     return typeof str === 'string' ? str.toLowerCase() : str;
   });
   
@@ -58,16 +63,17 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Resolve media path (handles CDN and local paths)
    * Usage: {{mediaPath imageSrc}}
    */
-  Handlebars.registerHelper('mediaPath', (src) => {
+  handlebars.registerHelper('mediaPath', (src) => {
     return helpers.resolveMediaPath(src, mediaBasePath, mediaFallbackPath);
   });
   
   /**
    * Resolve internal link path
    * Usage: {{linkPath targetId}}
+   * Language prefix comes from the render context root (language)
    */
-  Handlebars.registerHelper('linkPath', (targetId) => {
-    return helpers.resolveLinkPath(targetId);
+  handlebars.registerHelper('linkPath', (targetId, options) => {
+    return helpers.resolveLinkPath(targetId, options.data.root.language);
   });
   
   
@@ -79,103 +85,78 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Render a media element (image or carousel)
    * Usage: {{{renderMedia element}}}
    */
-  Handlebars.registerHelper('renderMedia', (element) => {
+  handlebars.registerHelper('renderMedia', (element) => {
     const html = helpers.renderMediaElement(element, mediaBasePath);
-    return new Handlebars.SafeString(html);
+    return new handlebars.SafeString(html);
   });
   
   /**
    * Render a title element
    * Usage: {{{renderTitle element}}}
    */
-  Handlebars.registerHelper('renderTitle', (element) => {
+  handlebars.registerHelper('renderTitle', (element) => {
     const html = helpers.renderTitleElement(element);
-    return new Handlebars.SafeString(html);
+    return new handlebars.SafeString(html);
   });
   
   /**
    * Render a paragraph element
    * Usage: {{{renderParagraph element}}}
    */
-  Handlebars.registerHelper('renderParagraph', (element) => {
-    const html = helpers.renderParagraphElement(element);
-    return new Handlebars.SafeString(html);
+  handlebars.registerHelper('renderParagraph', (element, options) => {
+    const html = helpers.renderParagraphElement(element, markdownOptions(options));
+    return new handlebars.SafeString(html);
   });
   
   /**
    * Render a list element
    * Usage: {{{renderList element}}}
    */
-  Handlebars.registerHelper('renderList', (element) => {
-    const html = helpers.renderListElement(element);
-    return new Handlebars.SafeString(html);
+  handlebars.registerHelper('renderList', (element, options) => {
+    const html = helpers.renderListElement(element, markdownOptions(options));
+    return new handlebars.SafeString(html);
   });
   
   /**
    * Render a call-to-action element
    * Usage: {{{renderCTA element}}}
    */
-  Handlebars.registerHelper('renderCTA', (element) => {
-    const html = helpers.renderCallToActionElement(element);
-    return new Handlebars.SafeString(html);
+  handlebars.registerHelper('renderCTA', (element, options) => {
+    const html = helpers.renderCallToActionElement(element, options.data.root.language);
+    return new handlebars.SafeString(html);
   });
   
   /**
    * Render a spacer element
    * Usage: {{{renderSpacer element}}}
    */
-  Handlebars.registerHelper('renderSpacer', (element) => {
+  handlebars.registerHelper('renderSpacer', (element) => {
     const html = helpers.renderSpacerElement(element);
-    return new Handlebars.SafeString(html);
+    return new handlebars.SafeString(html);
   });
   
   /**
-   * Generic element renderer (dispatches to appropriate renderer)
-   * Usage: {{{renderElement element}}}
-   * 
-   * Handlebars.registerHelper('renderElement', (element) => {
-   *   if (!element || !element.type) {
-   *     return new Handlebars.SafeString('<!-- Invalid element -->');
-   *   }
+   * Generic element renderer (dispatches through the element registry)
+   * Essential for text_block.hbs to render mixed element types sequentially,
+   * and the only renderer for plugin element types.
+   * Usage: {{{renderElement this}}}
    */
-
+  handlebars.registerHelper('renderElement', (element, options) => {
+    const html = elements.render(element, {
+      language: options.data.root.language,
+      mediaBasePath,
+      mediaFallbackPath,
+      markdown: markdownOptions(options)
+    });
+    return new handlebars.SafeString(html);
+  });
+  
   /**
-   * Generic element renderer (Dispatches to appropriate renderer)
-   * Essential for text_block.hbs to render mixed element types sequentially.
-   * Usage: {{{renderElement this}}}
+   * Whether an element type comes from a plugin (layout fallthrough)
+   * Usage: {{#if (isCustomElement type)}}{{{renderElement this}}}{{/if}}
    */
-  Handlebars.registerHelper('renderElement', (element) => {
-    if (!element || !element.type) {
-      return new Handlebars.SafeString('');
-    }  
-
-    
-   let html = '';
-     switch (element.type) {
-       case 'title':
-         html = helpers.renderTitleElement(element);
-         break;
-       case 'paragraph':
-         html = helpers.renderParagraphElement(element);
-         break;
-       case 'list':
-         html = helpers.renderListElement(element);
-         break;
-       case 'media':
-         // Requires the mediaBasePath passed into registerHandlebarsHelpers
-         html = helpers.renderMediaElement(element, mediaBasePath);
-         break;
-       case 'callToAction':
-         html = helpers.renderCallToActionElement(element);
-         break;
-       case 'spacer':
-         html = helpers.renderSpacerElement(element);
-         break;
-       default:
-         html = ``;
-     }
-    
-    return new Handlebars.SafeString(html);
+  handlebars.registerHelper('isCustomElement', (type) => {
+    return elements.isCustom(type);
   });
   
   
@@ -187,7 +168,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get grid column CSS class
    * Usage: {{gridColumnClass columns}}
    */
-  Handlebars.registerHelper('gridColumnClass', (columns) => {
+  handlebars.registerHelper('gridColumnClass', (columns) => {
     return helpers.getGridColumnClass(columns);
   });
   
@@ -195,7 +176,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get split ratio CSS class
    * Usage: {{splitClass split}}
    */
-  Handlebars.registerHelper('splitClass', (split) => {
+  handlebars.registerHelper('splitClass', (split) => {
     return helpers.getSplitClass(split);
   });
   
@@ -203,7 +184,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get image side CSS class
    * Usage: {{imageSideClass side}}
    */
-  Handlebars.registerHelper('imageSideClass', (side) => {
+  handlebars.registerHelper('imageSideClass', (side) => {
     return helpers.getImageSideClass(side);
   });
   
@@ -211,7 +192,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get form field size CSS class
    * Usage: {{formSizeClass size}}
    */
-  Handlebars.registerHelper('formSizeClass', (size) => {
+  handlebars.registerHelper('formSizeClass', (size) => {
     return helpers.getFormSizeClass(size);
   });
   
@@ -224,7 +205,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Filter elements by position
    * Usage: {{#each (filterByPosition elements "left")}}
    */
-  Handlebars.registerHelper('filterByPosition', (elements, position) => {
+  handlebars.registerHelper('filterByPosition', (elements, position) => {
     if (!Array.isArray(elements)) return [];
     return elements.filter(el => el.position === position);
   });
@@ -233,17 +214,21 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get elements without position attribute (header elements)
    * Usage: {{#each (headerElements elements)}}
    */
-  Handlebars.registerHelper('headerElements', (elements) => {
+  handlebars.registerHelper('headerElements', (elements) => {
     if (!Array.isArray(elements)) return [];
     return elements.filter(el => !el.position || el.position === 'header');
   });
   
   /**
-   * Sort elements into position groups
-   * Usage: {{#with (sortByPosition elements)}}
+   * Sort elements into position groups (header / left / right)
+   * Usage: {{#with (sortByPosition elements [defaultPosition] [swapColumns])}}
    */
-  Handlebars.registerHelper('sortByPosition', (elements) => {
-    return helpers.sortElementsByPosition(elements);
+  handlebars.registerHelper('sortByPosition', (elements, defaultPosition, swapColumns) => {
+    return helpers.sortElementsByPosition(
+      elements,
+      typeof defaultPosition === 'string' ? defaultPosition : undefined,
+      swapColumns === true
+    );
   });
   
   
@@ -255,7 +240,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Equality check
    * Usage: {{#if (eq value1 value2)}}
    */
-  Handlebars.registerHelper('eq', (a, b) => {
+  handlebars.registerHelper('eq', (a, b) => {
     return a === b;
   });
   
@@ -263,7 +248,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Not equal check
    * Usage: {{#if (ne value1 value2)}}
    */
-  Handlebars.registerHelper('ne', (a, b) => {
+  handlebars.registerHelper('ne', (a, b) => {
     return a !== b;
   });
   
@@ -271,7 +256,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Greater than check
    * Usage: {{#if (gt value1 value2)}}
    */
-  Handlebars.registerHelper('gt', (a, b) => {
+  handlebars.registerHelper('gt', (a, b) => {
     return a > b;
   });
   
@@ -279,7 +264,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Less than check
    * Usage: {{#if (lt value1 value2)}}
    */
-  Handlebars.registerHelper('lt', (a, b) => {
+  handlebars.registerHelper('lt', (a, b) => {
     return a < b;
   });
   
@@ -287,7 +272,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Logical AND
    * Usage: {{#if (and condition1 condition2)}}
    */
-  Handlebars.registerHelper('and', function() {
+  handlebars.registerHelper('and', function() {
     return Array.prototype.slice.call(arguments, 0, -1).every(Boolean);
   });
   
@@ -295,7 +280,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Logical OR
    * Usage: {{#if (or condition1 condition2)}}
    */
-  Handlebars.registerHelper('or', function() {
+  handlebars.registerHelper('or', function() {
     return Array.prototype.slice.call(arguments, 0, -1).some(Boolean);
   });
   
@@ -304,7 +289,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Required to fix: Missing helper: "not"
    * Usage: {{#if (not condition)}} 
    */
-  Handlebars.registerHelper('not', (value) => {
+  handlebars.registerHelper('not', (value) => {
     return !value;
   });
 
@@ -312,7 +297,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Check if array/string contains value
    * Usage: {{#if (contains array value)}}
    */
-  Handlebars.registerHelper('contains', (collection, value) => {
+  handlebars.registerHelper('contains', (collection, value) => {
     if (Array.isArray(collection)) {
       return collection.includes(value);
     }
@@ -331,7 +316,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get array length
    * Usage: {{length array}}
    */
-  Handlebars.registerHelper('length', (array) => {
+  handlebars.registerHelper('length', (array) => {
     if (Array.isArray(array)) return array.length;
     if (typeof array === 'string') return array.length;
     return 0;
@@ -341,7 +326,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get first item from array
    * Usage: {{first array}}
    */
-  Handlebars.registerHelper('first', (array) => {
+  handlebars.registerHelper('first', (array) => {
     if (Array.isArray(array) && array.length > 0) return array[0];
     return null;
   });
@@ -350,7 +335,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get last item from array
    * Usage: {{last array}}
    */
-  Handlebars.registerHelper('last', (array) => {
+  handlebars.registerHelper('last', (array) => {
     if (Array.isArray(array) && array.length > 0) return array[array.length - 1];
     return null;
   });
@@ -359,7 +344,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Join array with separator
    * Usage: {{join array ", "}}
    */
-  Handlebars.registerHelper('join', (array, separator) => {
+  handlebars.registerHelper('join', (array, separator) => {
     if (Array.isArray(array)) return array.join(separator || ', ');
     return '';
   });
@@ -373,17 +358,17 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Stringify JSON (for embedded data)
    * Usage: {{{json object}}}
    */
-  Handlebars.registerHelper('json', (context) => {
-    return new Handlebars.SafeString(JSON.stringify(context, null, 2));
+  handlebars.registerHelper('json', (context) => {
+    return new handlebars.SafeString(JSON.stringify(context, null, 2));
   });
   
   /**
    * Pretty print JSON for debugging
    * Usage: {{{jsonPretty object}}}
    */
-  Handlebars.registerHelper('jsonPretty', (context) => {
+  handlebars.registerHelper('jsonPretty', (context) => {
     const json = JSON.stringify(context, null, 2);
-    return new Handlebars.SafeString(`<pre>${helpers.escapeHtml(json)}</pre>`);
+    return new handlebars.SafeString(`<pre>${helpers.escapeHtml(json)}</pre>`);
   });
   
   
@@ -395,7 +380,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Log value to console (for debugging templates)
    * Usage: {{log variable}}
    */
-  Handlebars.registerHelper('log', function() {
+  handlebars.registerHelper('log', function() {
     console.log('[Handlebars Log]', ...arguments);
   });
   
@@ -403,9 +388,9 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Dump variable as HTML comment (for debugging)
    * Usage: {{{debug variable}}}
    */
-  Handlebars.registerHelper('debug', (context) => {
+  handlebars.registerHelper('debug', (context) => {
     const json = JSON.stringify(context, null, 2);
-    return new Handlebars.SafeString(`<!-- DEBUG:\n${json}\n-->`);
+    return new handlebars.SafeString(`<!-- DEBUG:\n${json}\n-->`);
   });
   
   
@@ -417,7 +402,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Check if form field is required
    * Usage: {{#if (isRequired field)}}
    */
-  Handlebars.registerHelper('isRequired', (field) => {
+  handlebars.registerHelper('isRequired', (field) => {
     return field && field.required === true;
   });
   
@@ -425,7 +410,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Get form field type
    * Usage: {{fieldType field}}
    */
-  Handlebars.registerHelper('fieldType', (field) => {
+  handlebars.registerHelper('fieldType', (field) => {
     return field && field.type ? field.type : 'text';
   });
   
@@ -433,7 +418,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Generate form field ID
    * Usage: {{fieldId field}}
    */
-  Handlebars.registerHelper('fieldId', (field) => {
+  handlebars.registerHelper('fieldId', (field) => {
     if (field && field.name) return field.name;
     return `field-${Math.random().toString(36).substring(7)}`;
   });
@@ -447,18 +432,18 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Build complete carousel HTML
    * Usage: {{{carousel media altText}}}
    */
-  Handlebars.registerHelper('carousel', (media, altText) => {
+  handlebars.registerHelper('carousel', (media, altText) => {
     const html = helpers.buildCarouselHtml(media, altText, mediaBasePath);
-    return new Handlebars.SafeString(html);
+    return new handlebars.SafeString(html);
   });
   
   /**
    * Build single image HTML
    * Usage: {{{image media altText}}}
    */
-  Handlebars.registerHelper('image', (media, altText) => {
+  handlebars.registerHelper('image', (media, altText) => {
     const html = helpers.buildImageHtml(media, altText, mediaBasePath);
-    return new Handlebars.SafeString(html);
+    return new handlebars.SafeString(html);
   });
   
   
@@ -470,7 +455,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Default value if empty
    * Usage: {{default value "fallback"}}
    */
-  Handlebars.registerHelper('default', (value, defaultValue) => {
+  handlebars.registerHelper('default', (value, defaultValue) => {
     return value || defaultValue;
   });
   
@@ -478,7 +463,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Ternary operator
    * Usage: {{ternary condition "true value" "false value"}}
    */
-  Handlebars.registerHelper('ternary', (condition, trueValue, falseValue) => {
+  handlebars.registerHelper('ternary', (condition, trueValue, falseValue) => {
     return condition ? trueValue : falseValue;
   });
   
@@ -486,7 +471,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Math operations
    * Usage: {{math value "+" 1}}
    */
-  Handlebars.registerHelper('math', (lvalue, operator, rvalue) => {
+  handlebars.registerHelper('math', (lvalue, operator, rvalue) => {
     lvalue = parseFloat(lvalue);
     rvalue = parseFloat(rvalue);
     
@@ -504,7 +489,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Increment value
    * Usage: {{inc value}}
    */
-  Handlebars.registerHelper('inc', (value) => {
+  handlebars.registerHelper('inc', (value) => {
     return parseInt(value) + 1;
   });
   
@@ -512,7 +497,7 @@ function registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath
    * Decrement value
    * Usage: {{dec value}}
    */
-  Handlebars.registerHelper('dec', (value) => {
+  handlebars.registerHelper('dec', (value) => {
     return parseInt(value) - 1;
   });
   
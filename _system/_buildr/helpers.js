@@ -4,32 +4,118 @@
 
 const fs = require('fs');
 const path = require('path');
+const { Marked } = require('marked');
+
+// Markdown features a project can switch off (project_config.json "markdown.features"),
+// mapped to the marked tokenizers they disable. Links and images are handled in
+// the renderer (disabled → plain text), line breaks by the "breaks" option.
+const MARKDOWN_FEATURES = {
+  emphasis: ['emStrong', 'del'],
+  links: [],
+  images: [],
+  code: ['codespan', 'code', 'fences'],
+  headings: ['heading', 'lheading'],
+  lists: ['list'],
+  blockquotes: ['blockquote'],
+  tables: ['table']
+};
+
+// URL schemes that never survive sanitizing
+const UNSAFE_URL = /^(javascript|vbscript|data):/i;
+
+// One configured marked instance per feature set
+const markdownInstances = new Map();
 
 /**
- * Markdown to HTML converter (simple implementation)
- * Supports: **bold**, bullet lists, blockquotes
+ * Get (or create) a marked instance for a markdown configuration
+ * Raw HTML is always escaped and unsafe link/image URLs are dropped.
+ * @param {Object} config - { breaks, features }
+ * @returns {Marked}
  */
-function markdownToHtml(str) {
-  if (typeof str !== 'string') return str;
+function getMarkdownInstance(config) {
+  const features = { ...Object.fromEntries(Object.keys(MARKDOWN_FEATURES).map(f => [f, true])), ...(config.features || {}) };
+  const breaks = config.breaks !== false;
+  const key = JSON.stringify({ features, breaks });
+  if (markdownInstances.has(key)) return markdownInstances.get(key);
+  
+  const safeUrl = (href) => {
+    const url = (href || '').trim();
+    return UNSAFE_URL.test(url.replace(/[\s\u0000-\u001f]/g, '')) ? null : url;
+  };
   
-  // Bold
-  let html = str.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+  // Returning undefined from a tokenizer override disables the rule
+  const tokenizer = {};
+  Object.keys(MARKDOWN_FEATURES).forEach(feature => {
+    if (features[feature]) return;
+    MARKDOWN_FEATURES[feature].forEach(name => { tokenizer[name] = () => undefined; });
+  });
   
-  // Bullet lists (multiline starting with * or -)
-  if (html.trim().startsWith('*') || html.trim().startsWith('-')) {
-    html = '<ul>' + html.split(/[\r\n]+/).map(line => {
-      let trimmed = line.trim();
-      if (trimmed.startsWith('* ') || trimmed.startsWith('- ')) {
-        return `<li>${trimmed.substring(2)}</li>`;
+  const md = new Marked({ gfm: true, breaks });
+  md.use({
+    tokenizer,
+    renderer: {
+      html(html) {
+        return escapeHtml(html);
+      },
+      // marked already HTML-escapes title and image alt text; only the URL needs escaping here
+      link(href, title, text) {
+        const url = safeUrl(href);
+        if (!features.links || url === null) return text;
+        const titleAttr = title ? ` title="${title}"` : '';
+        return `<a href="${escapeHtml(url)}"${titleAttr}>${text}</a>`;
+      },
+      image(href, title, text) {
+        const url = safeUrl(href);
+        if (!features.images || url === null) return text || '';
+        const titleAttr = title ? ` title="${title}"` : '';
+        return `<img src="${escapeHtml(url)}" alt="${text || ''}"${titleAttr}>`;
       }
-      return '';
-    }).join('') + '</ul>';
-  }
+    }
+  });
+  
+  markdownInstances.set(key, md);
+  return md;
+}
+
+/**
+ * Convert markdown, reporting whether the result contains block elements
+ * @param {string} str - Markdown source
+ * @param {Object} options - Project markdown config + { language }
+ * @returns {Object} - { html, block }
+ */
+function convertMarkdown(str, options = {}) {
+  if (options.enabled === false) return { html: escapeHtml(str), block: false };
   
-  // Blockquotes
-  html = html.replace(/&gt; (.*)/g, '<blockquote>$1</blockquote>');
+  const md = getMarkdownInstance(options);
+  const tokens = md.lexer(str);
   
-  return html;
+  // Internal links: page:<id>[#anchor] → /<lang>/<id>.html[#anchor]
+  md.walkTokens(tokens, token => {
+    if ((token.type === 'link' || token.type === 'image') && /^page:/.test(token.href)) {
+      const [pageId, anchor] = token.href.substring(5).split('#');
+      token.href = resolveLinkPath(pageId, options.language) + (anchor ? `#${anchor}` : '');
+    }
+  });
+  
+  // A single paragraph renders inline (callers wrap it in <p>, <li>, ...)
+  const blocks = tokens.filter(token => token.type !== 'space');
+  if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+    return { html: md.Parser.parseInline(blocks[0].tokens, md.defaults), block: false };
+  }
+  return { html: md.parser(tokens).trim(), block: blocks.length > 0 };
+}
+
+/**
+ * Markdown to HTML converter (marked, sanitized)
+ * Supports emphasis, links (incl. page:<id>), images, inline code, headings,
+ * nested lists, blockquotes, tables and line breaks, each switchable per project.
+ * @param {string} str - Markdown source
+ * @param {Object} options - Project markdown config ({ enabled, breaks, features }) + { language }
+ * @returns {string} - HTML (inline for single paragraphs)
+ */
+function markdownToHtml(str, options = {}) {
+  if (typeof str !== 'string') return str;
+  return convertMarkdown(str, options).html;
 }
 
 /**
@@ -46,15 +132,45 @@ function escapeHtml(str) {
 }
 
 /**
- * Load JSON file safely
+ * Build inline CSS declarations from a property map
+ * Accepts kebab-case or camelCase keys (e.g. layout "styling" objects)
+ * @param {Object} declarations - CSS property → value (empty values skipped)
+ * @returns {string} - e.g. "font-size: 42px; font-weight: 300"
+ */
+function buildInlineStyle(declarations) {
+  if (!declarations || typeof declarations !== 'object') return '';
+
+  return Object.keys(declarations)
+    .filter(prop => declarations[prop] !== undefined && declarations[prop] !== null && declarations[prop] !== '')
+    .map(prop => `${prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}: ${declarations[prop]}`)
+    .join('; ');
+}
+
+/**
+ * Load JSON file
+ * Fails loudly: a missing file or parse error throws with the file path
+ * (callers guard optional files with fs.existsSync)
+ * @param {string} filepath - JSON file path
+ * @returns {Object} - Parsed JSON
  */
 function loadJSON(filepath) {
+  let content;
+  try {
+    content = fs.readFileSync(filepath, 'utf8');
+  } catch (error) {
+    throw new Error(`JSON file not found: ${filepath}`);
+  }
+  
   try {
-    const content = fs.readFileSync(filepath, 'utf8');
     return JSON.parse(content);
   } catch (error) {
-    console.error(`Error loading ${filepath}:`, error.message);
-    return null;
+    const position = error.message.match(/at position (\d+)/);
+    let location = '';
+    if (position) {
+      const lines = content.slice(0, Number(position[1])).split('\n');
+      location = `:${lines.length}:${lines[lines.length - 1].length + 1}`;
+    }
+    throw new Error(`Invalid JSON in ${filepath}${location}: ${error.message}`);
   }
 }
 
@@ -109,25 +225,43 @@ function resolveMediaPath(src, basePath, fallbackPath) {
 /**
  * Resolve internal page link
  * @param {string} targetId - Page identifier
+ * @param {string} language - Optional language code; prefixes the URL (/es/...)
  * @returns {string} - Page URL
  */
-function resolveLinkPath(targetId) {
+function resolveLinkPath(targetId, language) {
   if (!targetId) return '#';
   
-  // SPECIAL CASE: home page is index.html at root
+  const prefix = language ? `/${language}` : '';
+  
+  // SPECIAL CASE: home page is index.html at the (language) root
   if (targetId === 'home') {
-    return '/';
+    return `${prefix}/`;
   }
   
-  return `/${targetId}.html`;
+  return `${prefix}/${targetId}.html`;
+}
+
+/**
+ * Resolve an absolute URL from the site URL and a root-relative path
+ * @param {string} siteUrl - Site URL (scheme optional, e.g. "www.example.com")
+ * @param {string} pathname - Root-relative path (e.g. "/es/markets.html")
+ * @returns {string} - Absolute URL
+ */
+function resolveAbsoluteUrl(siteUrl, pathname) {
+  if (!siteUrl) return pathname;
+  const base = (/^https?:\/\//.test(siteUrl) ? siteUrl : `https://${siteUrl}`).replace(/\/+$/, '');
+  return `${base}${pathname}`;
 }
 
 /**
  * Sort elements by position attribute (for complex split layouts)
+ * Elements without a position: titles span the header, others go to defaultPosition
  * @param {Array} elements - Array of element objects
+ * @param {string} defaultPosition - Column for unpositioned elements ("left" | "right" | "header")
+ * @param {boolean} swapColumns - Mirror left/right (header unchanged)
  * @returns {Object} - {left: [], right: [], header: []}
  */
-function sortElementsByPosition(elements) {
+function sortElementsByPosition(elements, defaultPosition = 'right', swapColumns = false) {
   const sorted = {
     header: [],
     left: [],
@@ -135,15 +269,18 @@ function sortElementsByPosition(elements) {
   };
   
   if (!Array.isArray(elements)) return sorted;
+  if (!sorted[defaultPosition]) defaultPosition = 'right';
   
   elements.forEach(element => {
-    const position = element.position || 'right'; // Default to right if not specified
-    if (sorted[position]) {
-      sorted[position].push(element);
-    } else {
-      // If position is not recognized, default to right
-      sorted.right.push(element);
+    let position = element.position || (element.type === 'title' ? 'header' : defaultPosition);
+    if (!sorted[position]) {
+      // If position is not recognized, use the default column
+      position = defaultPosition;
     }
+    if (swapColumns && position !== 'header') {
+      position = position === 'left' ? 'right' : 'left';
+    }
+    sorted[position].push(element);
   });
   
   return sorted;
@@ -295,22 +432,25 @@ function renderTitleElement(element) {
 /**
  * Render a paragraph element
  * @param {Object} element - Paragraph element object
+ * @param {Object} markdown - Markdown options (project config + language)
  * @returns {string} - Paragraph HTML
  */
-function renderParagraphElement(element) {
+function renderParagraphElement(element, markdown = {}) {
   if (!element || element.type !== 'paragraph') return '';
   
-  const content = markdownToHtml(element.content || '');
+  const { html, block } = convertMarkdown(element.content || '', markdown);
   
-  return `<p>${content}</p>`;
+  // Multi-block markdown (lists, headings, several paragraphs) brings its own tags
+  return block ? html : `<p>${html}</p>`;
 }
 
 /**
  * Render a list element
  * @param {Object} element - List element object
+ * @param {Object} markdown - Markdown options (project config + language)
  * @returns {string} - List HTML
  */
-function renderListElement(element) {
+function renderListElement(element, markdown = {}) {
   if (!element || element.type !== 'list') return '';
   
   const style = element.style || 'bullets';
@@ -326,7 +466,7 @@ function renderListElement(element) {
   };
   
   const listType = listTypeMap[style] || listTypeMap['bullets'];
-  const itemsHtml = items.map(item => `<li>${markdownToHtml(item)}</li>`).join('');
+  const itemsHtml = items.map(item => `<li>${markdownToHtml(item, markdown)}</li>`).join('');
   
   return `
     ${title}
@@ -339,9 +479,10 @@ function renderListElement(element) {
 /**
  * Render a call-to-action element
  * @param {Object} element - CTA element object
+ * @param {string} language - Optional language code for internal links
  * @returns {string} - CTA HTML
  */
-function renderCallToActionElement(element) {
+function renderCallToActionElement(element, language) {
   if (!element || element.type !== 'callToAction') return '';
   
   const text = escapeHtml(element.text || 'Learn More');
@@ -349,7 +490,7 @@ function renderCallToActionElement(element) {
   const url = element.url || null;
   const style = element.style || 'primary';
   
-  const href = targetId ? resolveLinkPath(targetId) : (url || '#');
+  const href = targetId ? resolveLinkPath(targetId, language) : (url || '#');
   const styleClass = `cta-${style}`;
   
   return `
@@ -382,40 +523,61 @@ function renderSpacerElement(element) {
 }
 
 /**
- * Validate element structure
+ * Validate element structure against build_config.json elementTypes
+ * Checks required fields and supported values (levels, styles, media types, sizes, layouts)
  * @param {Object} element - Element object
  * @param {Object} config - Build configuration
- * @returns {Object} - {valid: boolean, errors: []}
+ * @returns {Object} - {valid: boolean, errors: [{ field, message }]} (field null for element-level errors)
  */
 function validateElement(element, config) {
   const errors = [];
   
   if (!element || typeof element !== 'object') {
-    errors.push('Element is not an object');
+    errors.push({ field: null, message: 'Element is not an object' });
     return { valid: false, errors };
   }
   
   if (!element.type) {
-    errors.push('Element missing required "type" field');
+    errors.push({ field: 'type', message: 'Element missing required "type" field' });
     return { valid: false, errors };
   }
   
   const elementTypeConfig = config.elementTypes[element.type];
   
   if (!elementTypeConfig) {
-    errors.push(`Unknown element type: ${element.type}`);
+    errors.push({ field: 'type', message: `Unknown element type: ${element.type}` });
     return { valid: false, errors };
   }
   
   // Check required fields
   if (elementTypeConfig.requiredFields) {
     elementTypeConfig.requiredFields.forEach(field => {
-      if (!element[field]) {
-        errors.push(`Element type "${element.type}" missing required field: ${field}`);
+      if (element[field] === undefined || element[field] === null || element[field] === '') {
+        errors.push({ field, message: `Element type "${element.type}" missing required field: ${field}` });
       }
     });
   }
   
+  // Check supported values (only when the field is present)
+  const supportedValues = {
+    supportedLevels: 'level',
+    supportedStyles: 'style',
+    supportedTypes: 'mediaType',
+    supportedSizes: 'height',
+    supportedLayouts: 'layout'
+  };
+  Object.keys(supportedValues).forEach(key => {
+    const field = supportedValues[key];
+    const allowed = elementTypeConfig[key];
+    if (!allowed || element[field] === undefined) return;
+    if (!allowed.includes(element[field])) {
+      errors.push({
+        field,
+        message: `Unsupported ${field} "${element[field]}" for "${element.type}" (supported: ${allowed.join(', ')})`
+      });
+    }
+  });
+  
   return {
     valid: errors.length === 0,
     errors
@@ -459,13 +621,16 @@ function ensureDirectory(dirPath) {
 module.exports = {
   // Core utilities
   markdownToHtml,
+  convertMarkdown,
   escapeHtml,
+  buildInlineStyle,
   loadJSON,
   writeFileAtomic,
   
   // Path resolution
   resolveMediaPath,
   resolveLinkPath,
+  resolveAbsoluteUrl,
   
   // Element processing
   sortElementsByPosition,
@@ -0,0 +1,97 @@
+// ./_system/_buildr/hooks.js
+// Build Hook Registry for WebGen
+// Loads beforeBuild / afterBuild / beforePageRender / afterPageRender modules
+//
+// Registration (paths are relative to the declaring config):
+//   build_config.json   → "hooks": { "afterPageRender": "./_system/hooks/minify.js" }   (repo root)
+//   project_config.json → "hooks": { "beforePageRender": ["./hooks/promo.js"] }        (project dir)
+//
+// A hook module exports either a function (called for the hook it is registered
+// under) or an object with hook-named methods. Hooks may be async, mutate the
+// payload in place, and return false to veto. afterPageRender may also return
+// a string to replace the rendered HTML.
+
+const path = require('path');
+
+const HOOK_NAMES = ['beforeBuild', 'afterBuild', 'beforePageRender', 'afterPageRender'];
+
+class HookManager {
+  /**
+   * @param {string} label - Log label (project name)
+   */
+  constructor(label) {
+    this.label = label;
+    this.hooks = {};
+    HOOK_NAMES.forEach(name => { this.hooks[name] = []; });
+  }
+
+  /**
+   * Register hooks from a config "hooks" object
+   * @param {Object} hooksConfig - { hookName: modulePath | modulePath[] | null }
+   * @param {string} baseDir - Directory module paths are relative to
+   */
+  register(hooksConfig, baseDir) {
+    if (!hooksConfig) return;
+
+    Object.keys(hooksConfig).forEach(name => {
+      if (!HOOK_NAMES.includes(name)) {
+        throw new Error(`Unknown hook '${name}' (expected: ${HOOK_NAMES.join(', ')})`);
+      }
+
+      const entries = [].concat(hooksConfig[name] || []);
+      entries.forEach(modulePath => {
+        const resolved = path.resolve(baseDir, modulePath);
+        let mod;
+        try {
+          mod = require(resolved);
+        } catch (error) {
+          throw new Error(`Failed to load ${name} hook ${resolved}: ${error.message}`);
+        }
+
+        const fn = typeof mod === 'function' ? mod : mod && mod[name];
+        if (typeof fn !== 'function') {
+          throw new Error(`Hook module ${resolved} does not export a ${name} function`);
+        }
+
+        this.hooks[name].push({ fn, source: path.relative(process.cwd(), resolved) });
+        console.log(`[Hooks:${this.label}] Registered ${name}: ${path.relative(process.cwd(), resolved)}`);
+      });
+    });
+  }
+
+  /**
+   * Whether any hook is registered under a name
+   * @param {string} name - Hook name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.hooks[name].length > 0;
+  }
+
+  /**
+   * Run hooks in registration order
+   * Stops at the first veto (false). For afterPageRender, a returned string
+   * replaces payload.html before the next hook runs.
+   * @param {string} name - Hook name
+   * @param {Object} payload - Hook payload (mutable)
+   * @returns {Promise<boolean>} - false when vetoed
+   */
+  async run(name, payload) {
+    for (const hook of this.hooks[name]) {
+      const result = await hook.fn(payload);
+
+      if (result === false) {
+        console.log(`[Hooks:${this.label}] ${name} vetoed by ${hook.source}`);
+        return false;
+      }
+      if (name === 'afterPageRender' && typeof result === 'string') {
+        payload.html = result;
+      }
+    }
+    return true;
+  }
+}
+
+HookManager.HOOK_NAMES = HOOK_NAMES;
+
+module.exports = HookManager;
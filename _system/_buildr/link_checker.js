@@ -0,0 +1,179 @@
+// ./_system/_buildr/link_checker.js
+// Post-render Link Checker for WebGen
+// Verifies internal hrefs, asset srcs and #anchors against the generated output tree
+
+const fs = require('fs');
+const path = require('path');
+
+// Tags that reference other files, and their URL attribute
+const LINK_TAGS = /<(a|link|img|script|source|iframe|video|audio)\b([^>]*)>/gi;
+const URL_ATTRIBUTE = /\s(href|src)\s*=\s*"([^"]*)"/i;
+const REL_ATTRIBUTE = /\srel\s*=\s*"([^"]*)"/i;
+
+// <link rel> values that point at origins, not files
+const ORIGIN_RELS = ['preconnect', 'dns-prefetch'];
+
+const ID_ATTRIBUTES = /\s(?:id|name)\s*=\s*"([^"]+)"/gi;
+
+// Anything with a scheme or protocol-relative prefix is not checked against the output tree
+const EXTERNAL_URL = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+
+/**
+ * 1-based line number of a string offset
+ */
+function lineAt(source, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (source.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * decodeURIComponent that returns null for invalid percent-encoding (e.g. "/50%-off.html")
+ */
+function decodeUrlPart(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+class LinkChecker {
+  /**
+   * @param {string} outputPath - Build output root (site root "/")
+   * @param {Object} options - { checkAnchors, ignore: [prefix|regex string] }
+   */
+  constructor(outputPath, options = {}) {
+    this.outputPath = outputPath;
+    this.checkAnchors = options.checkAnchors !== false;
+    this.ignore = (options.ignore || []).map(pattern => new RegExp(pattern));
+    this.idCache = {};
+  }
+
+  /**
+   * Check every generated HTML file
+   * @returns {Object} - { files, checked, external, issues: [{ file, line, tag, url, kind, message }] }
+   */
+  run() {
+    const result = { files: 0, checked: 0, external: 0, issues: [] };
+
+    this.listHtmlFiles(this.outputPath).forEach(file => {
+      result.files++;
+      const source = fs.readFileSync(file, 'utf8');
+      const relative = path.relative(this.outputPath, file);
+      let match;
+
+      LINK_TAGS.lastIndex = 0;
+      while ((match = LINK_TAGS.exec(source))) {
+        const tag = match[1].toLowerCase();
+        const urlMatch = match[2].match(URL_ATTRIBUTE);
+        if (!urlMatch) continue;
+        const rel = (match[2].match(REL_ATTRIBUTE) || [])[1] || '';
+        if (tag === 'link' && ORIGIN_RELS.some(value => rel.split(/\s+/).includes(value))) continue;
+
+        const attribute = urlMatch[1].toLowerCase();
+        const url = urlMatch[2].replace(/&amp;/g, '&').trim();
+        if (!url || this.ignore.some(pattern => pattern.test(url))) continue;
+
+        if (EXTERNAL_URL.test(url)) {
+          result.external++;
+          continue;
+        }
+
+        result.checked++;
+        const issue = this.checkUrl(file, url, tag, attribute);
+        if (issue) {
+          result.issues.push({ file: relative, line: lineAt(source, match.index), tag, url, ...issue });
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Check one internal URL
+   * @returns {Object|null} - { kind, message } or null when valid
+   */
+  checkUrl(file, url, tag, attribute) {
+    const [withoutHash, anchor] = url.split('#');
+    const pathname = decodeUrlPart(withoutHash.split('?')[0]);
+    if (pathname === null) {
+      return { kind: 'malformed-url', message: `Invalid URL encoding: ${url}` };
+    }
+
+    // Same-page anchor
+    if (!pathname) {
+      return this.checkAnchor(file, anchor, url);
+    }
+
+    const target = this.resolveTarget(file, pathname);
+    if (!target) {
+      const isAsset = attribute === 'src' || tag === 'link';
+      return {
+        kind: isAsset ? 'missing-asset' : 'broken-link',
+        message: isAsset ? `Asset not found in output: ${pathname}` : `Page not found in output: ${pathname}`
+      };
+    }
+
+    return target.endsWith('.html') ? this.checkAnchor(target, anchor, url) : null;
+  }
+
+  /**
+   * Resolve a URL path to an output file (directory → index.html, extensionless → .html)
+   * @returns {string|null} - File path or null
+   */
+  resolveTarget(file, pathname) {
+    const base = pathname.startsWith('/')
+      ? path.join(this.outputPath, pathname)
+      : path.join(path.dirname(file), pathname);
+
+    const candidates = pathname.endsWith('/')
+      ? [path.join(base, 'index.html')]
+      : [base, `${base}.html`, path.join(base, 'index.html')];
+
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+  }
+
+  /**
+   * Check that an anchor exists as an id/name in a generated page
+   */
+  checkAnchor(file, anchor, url) {
+    if (!anchor || !this.checkAnchors) return null;
+    if (!this.idsIn(file).has(decodeUrlPart(anchor))) {
+      return { kind: 'missing-anchor', message: `Anchor #${anchor} not found in ${path.relative(this.outputPath, file)}` };
+    }
+    return null;
+  }
+
+  /**
+   * Element ids (and legacy name anchors) in a page, cached per file
+   */
+  idsIn(file) {
+    if (!this.idCache[file]) {
+      const source = fs.readFileSync(file, 'utf8');
+      const ids = new Set();
+      let match;
+      ID_ATTRIBUTES.lastIndex = 0;
+      while ((match = ID_ATTRIBUTES.exec(source))) ids.add(match[1]);
+      this.idCache[file] = ids;
+    }
+    return this.idCache[file];
+  }
+
+  /**
+   * Recursively list *.html files (report directories skipped)
+   */
+  listHtmlFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return entry.name === '_reports' ? [] : this.listHtmlFiles(full);
+      return entry.name.endsWith('.html') ? [full] : [];
+    }).sort();
+  }
+}
+
+module.exports = LinkChecker;
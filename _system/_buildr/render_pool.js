@@ -0,0 +1,155 @@
+// ./_system/_buildr/render_pool.js
+// Worker-thread page rendering for WebGen
+// Each worker builds its own WebGenBuilder (templates compiled once per worker,
+// own Handlebars environment, hooks and plugins) and renders pages on request;
+// the main thread writes the HTML and keeps the dependency graph/build cache.
+//
+// Messages:  main → worker  { id, pageId, language }
+//            worker → main  { type: 'ready' } | { type: 'error', message }
+//                           | { id, html, templates, contentIssues, structuredDataIssues, renderMs, error }
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'render_worker.js');
+
+class RenderPool {
+  /**
+   * @param {number} size - Number of worker threads
+   * @param {Object} workerData - { projectId, options, paths } (see render_worker.js)
+   */
+  constructor(size, workerData) {
+    this.size = size;
+    this.workerData = workerData;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Start the workers and wait until every one has compiled its templates
+   * @returns {Promise<RenderPool>}
+   */
+  async start() {
+    try {
+      await Promise.all(Array.from({ length: this.size }, (_, index) => this.startWorker(index + 1)));
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Start one worker; resolves once it reports ready
+   * @param {number} number - Worker number (1-based, used in timings)
+   */
+  startWorker(number) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_SCRIPT, { workerData: this.workerData });
+      worker.number = number;
+      worker.task = null;
+      this.workers.push(worker);
+
+      worker.on('message', message => {
+        if (message.type === 'ready') {
+          this.release(worker);
+          resolve(worker);
+        } else if (message.type === 'error') {
+          reject(new Error(`Render worker ${number} failed to start: ${message.message}`));
+        } else {
+          this.complete(worker, message);
+        }
+      });
+
+      worker.on('error', error => {
+        reject(error);
+        this.fail(worker, error);
+      });
+
+      worker.on('exit', code => {
+        if (code !== 0) this.fail(worker, new Error(`Render worker ${number} exited with code ${code}`));
+      });
+    });
+  }
+
+  /**
+   * Render a page in the next free worker
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} - { html, templates, contentIssues, structuredDataIssues, renderMs, worker }
+   */
+  render(pageId, language) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, pageId, language, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued pages to idle workers
+   */
+  dispatch() {
+    while (this.idle.length && this.queue.length) {
+      const worker = this.idle.shift();
+      const task = this.queue.shift();
+      worker.task = task;
+      this.pending.set(task.id, task);
+      worker.postMessage({ id: task.id, pageId: task.pageId, language: task.language });
+    }
+  }
+
+  /**
+   * Mark a worker idle and give it the next page
+   */
+  release(worker) {
+    worker.task = null;
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  /**
+   * Settle a finished page
+   */
+  complete(worker, message) {
+    const task = this.pending.get(message.id);
+    this.pending.delete(message.id);
+    this.release(worker);
+    if (!task) return;
+
+    if (message.error) {
+      task.reject(new Error(message.error));
+    } else {
+      task.resolve({ ...message, worker: worker.number });
+    }
+  }
+
+  /**
+   * Reject the page a crashed worker was rendering; the worker is not reused
+   */
+  fail(worker, error) {
+    this.idle = this.idle.filter(candidate => candidate !== worker);
+    if (worker.task) {
+      this.pending.delete(worker.task.id);
+      worker.task.reject(error);
+      worker.task = null;
+    }
+    if (this.workers.every(candidate => candidate === worker || candidate.exited)) {
+      this.queue.splice(0).forEach(task => task.reject(error));
+    }
+    worker.exited = true;
+  }
+
+  /**
+   * Stop all workers
+   */
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+module.exports = RenderPool;
@@ -0,0 +1,67 @@
+// ./_system/_buildr/render_worker.js
+// Render worker thread for WebGen (started by render_pool.js)
+// Sets up a WebGenBuilder for the project once (configs, hooks, plugins,
+// compiled templates), then renders pages posted by the main thread.
+// Content is loaded per page; nothing is written to the output directory here.
+
+const { parentPort, workerData } = require('worker_threads');
+const { performance } = require('perf_hooks');
+const WebGenBuilder = require('./generator');
+
+/**
+ * Builder/renderer for this worker (same project, options and paths as the main thread)
+ * Setup logs were already printed by the main thread's builder, so they are muted.
+ */
+async function setup() {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const builder = new WebGenBuilder(workerData.projectId, workerData.options);
+    Object.assign(builder.paths, workerData.paths);
+    await builder.renderer.init();
+    builder.renderer.structuredData = builder.createStructuredData();
+    if (builder.renderer.structuredData) {
+      // The main thread logs structured data issues once for all workers
+      builder.renderer.structuredData.quiet = true;
+    }
+    return builder.renderer;
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Render one page
+ * @returns {Object} - { id, html, templates, contentIssues, structuredDataIssues, renderMs }
+ */
+async function renderPage(renderer, { id, pageId, language }) {
+  const contentIssueCount = renderer.contentIssues.length;
+  const structuredData = renderer.structuredData;
+  const structuredDataIssueCount = structuredData ? structuredData.issues.length : 0;
+  const started = performance.now();
+
+  const html = await renderer.renderPage(pageId, language);
+  const dependencies = renderer.pageDependencies[`${language}/${pageId}`] || { templates: [] };
+
+  return {
+    id,
+    html,
+    templates: dependencies.templates,
+    contentIssues: renderer.contentIssues.slice(contentIssueCount),
+    structuredDataIssues: structuredData ? structuredData.issues.slice(structuredDataIssueCount) : [],
+    renderMs: performance.now() - started
+  };
+}
+
+setup().then(renderer => {
+  parentPort.on('message', async task => {
+    try {
+      parentPort.postMessage(await renderPage(renderer, task));
+    } catch (error) {
+      parentPort.postMessage({ id: task.id, error: error.message });
+    }
+  });
+  parentPort.postMessage({ type: 'ready' });
+}).catch(error => {
+  parentPort.postMessage({ type: 'error', message: error.message });
+});
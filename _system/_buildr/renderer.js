@@ -9,7 +9,7 @@
  * - Added resolveAssetPath() for project > shared asset priority
  * - Added getRelativeAssetPath() for HTML output paths
  * - Template loading uses pre-resolved paths.templates
- * - Handlebars helper registration adapted to new structure
+ * - Multi-language rendering with block-level fallback and hreflang alternates
  * 
  * PRESERVED (75%):
  * - All core rendering logic unchanged
@@ -25,10 +25,23 @@ const path = require('path');
 const Handlebars = require('handlebars');
 const helpers = require('./helpers');
 const { registerHandlebarsHelpers } = require('./handlebars_helpers');
+const ElementRegistry = require('./element_registry');
 
 // Define global compilation options to ensure cleanliness and functionality
 const COMPILATION_OPTIONS = { noComments: true };
 
+// Maps _layouts.json section layout ids (referenced by page templates) to compiled layout templates
+const SECTION_LAYOUT_TEMPLATES = {
+  'alternating-image': 'split-layout',
+  'hero-banner': 'stacked-image-top',
+  'hero-overlay': 'stacked-image-top',
+  'feature-grid': 'grid-layout',
+  'text-block': 'text-block',
+  'form': 'form-1-up',
+  'image-gallery': 'grid-layout',
+  'video-embed': 'stacked-image-top'
+};
+
 class HTMLRenderer {
   /**
    * ENHANCED: Constructor now accepts separate paths and projectConfig
@@ -47,9 +60,23 @@ class HTMLRenderer {
     this.navigationLayouts = null;
     this.menu = null;
     
+    // Isolated Handlebars environment: partials and helpers (bound to this project's
+    // media paths) never leak into other renderers in the same process
+    this.handlebars = Handlebars.create();
+    
     // Performance Cache: Layout templates are compiled once during init
     this.templates = {};
     this.partials = {};
+    this.missingLayouts = [];
+    
+    // Template source files (dependency tracking): name → file, partial references per file
+    this.templateFiles = {};
+    this.partialFiles = {};
+    this.partialReferences = {};
+    
+    // Templates used by each rendered page ("<lang>/<pageId>" → template files)
+    this.pageDependencies = {};
+    this.usedTemplates = new Set();
     this.combinedBlocks = {}; 
     
     // Media paths (set during init from site_config)
@@ -57,22 +84,50 @@ class HTMLRenderer {
     this.mediaFallbackPath = null;
     
     // Language support
-    this.language = projectConfig.languages?.default || 'en';
+    const languages = projectConfig.languages || {};
+    const defaultLanguage = languages.default || 'en';
+    this.languages = {
+      default: defaultLanguage,
+      supported: languages.supported || [defaultLanguage],
+      fallback: languages.fallback || defaultLanguage
+    };
+    this.language = this.languages.default;
+    this.fallbackBlocks = [];
+    
+    // Hub discovery cache (per language, see discoverHubs)
+    this.hubs = {};
+    
+    // Missing block / unknown layout handling: "warn" | "error" | "placeholder"
+    // (set by the builder; "error" issues fail the build after rendering)
+    this.missingContentPolicy = 'warn';
+    this.contentIssues = [];
+    
+    // Page hooks (HookManager, set by the builder)
+    this.hooks = null;
+    
+    // Element types incl. plugins (ElementRegistry, set by the builder)
+    this.elements = null;
+    
+    // JSON-LD (StructuredDataBuilder, set by the builder; null disables it)
+    this.structuredData = null;
   }
 
   /**
    * ENHANCED: Uses dynamic paths for site configs
-   * Initializes SSR Environment. Registers helpers once globally.
+   * Initializes SSR Environment. Registers helpers on the renderer's Handlebars environment.
    */
   async init() {
     console.log(`[Renderer:${this.projectConfig.projectName}] Initializing SSR Environment (Optimized)...`);
+    this.contentIssues = [];
     await this.loadSiteConfigs();
     await this.loadTemplates(); // Compiles all layouts into cache
+    this.missingLayouts = this.findMissingLayouts();
     
-    // BUGFIX: Pass only the 3 parameters that registerHandlebarsHelpers expects
-    // Function signature: registerHandlebarsHelpers(buildConfig, mediaBasePath, mediaFallbackPath)
-    // We pass projectConfig as buildConfig (contains paths), then the two media paths
-    registerHandlebarsHelpers(this.projectConfig, this.mediaBasePath, this.mediaFallbackPath);
+    // Function signature: registerHandlebarsHelpers(handlebars, buildConfig, mediaBasePath, mediaFallbackPath, elements)
+    // Helpers go into this renderer's Handlebars environment. We pass projectConfig as buildConfig (contains paths), the two media paths
+    // and the element registry (built-ins only when used without the builder)
+    if (!this.elements) this.elements = new ElementRegistry();
+    registerHandlebarsHelpers(this.handlebars, this.projectConfig, this.mediaBasePath, this.mediaFallbackPath, this.elements);
   }
 
   /**
@@ -88,6 +143,7 @@ class HTMLRenderer {
     this.headerLayouts = helpers.loadJSON(path.join(sitePath, '_header-layouts.json'));
     this.navigationLayouts = helpers.loadJSON(path.join(sitePath, '_navigation-layouts.json'));
     this.menu = helpers.loadJSON(path.join(sitePath, '_menu.json'));
+    this.menuLabels = this.loadMenuTranslations(sitePath);
     
     // Use logoPath from config (e.g., /assets/) for path construction
     this.mediaBasePath = this.siteConfig.branding.logoPath;
@@ -108,7 +164,8 @@ class HTMLRenderer {
 
   /**
    * ENHANCED: Uses pre-resolved paths.templates (already versioned by generator)
-   * PRESERVED: Template compilation logic unchanged
+   * Discovers every .hbs in the version's layouts/ and partials/ directories
+   * (project templates override by name, see discoverTemplates)
    * 
    * Performance B: Compiles and caches all required partials and templates.
    * FIX: Applies { noComments: true } to ensure clean HTML and fix centering bug.
@@ -125,42 +182,139 @@ class HTMLRenderer {
       );
     }
 
-    // Compile global site partials (Patterns 1-4)
-    const partialFiles = ['announcement_banner.hbs', 'header.hbs', 'navigation.hbs', 'footer.hbs'];
-    partialFiles.forEach(file => {
-      const p = path.join(templatesPath, file);
-      if (fs.existsSync(p)) {
-        const name = file.replace('.hbs', '').replace(/_/g, '-');
-        // Register partials with comment stripping
-        Handlebars.registerPartial(name, fs.readFileSync(p, 'utf8'), COMPILATION_OPTIONS);
-      }
+    const overrides = [];
+
+    // Register global site partials (Patterns 1-4)
+    const partials = this.discoverTemplates('partials', overrides);
+    this.partialFiles = partials;
+    Object.keys(partials).forEach(name => {
+      // Register partials with comment stripping
+      this.handlebars.registerPartial(name, fs.readFileSync(partials[name], 'utf8'), COMPILATION_OPTIONS);
     });
 
     // Compile layout templates into the instance dictionary (Patterns 5-14)
-    const layoutFiles = [
-      'split_layout.hbs', 'grid_layout.hbs', 'multi_title_lists.hbs', 
-      'stacked_image_top.hbs', 'stacked_image_bottom.hbs', 
-      'two_column_subtitles.hbs', 'form_1_up.hbs', 'form_2_up_.hbs', 'text_block.hbs'
-    ];
-    layoutFiles.forEach(file => {
-      const p = path.join(templatesPath, file);
-      if (fs.existsSync(p)) {
-        const name = file.replace('.hbs', '').replace(/_/g, '-');
-        const content = fs.readFileSync(p, 'utf8');
-        // Compile layouts with comment stripping
-        this.templates[name] = Handlebars.compile(content, COMPILATION_OPTIONS);
-      }
+    const layouts = this.discoverTemplates('layouts', overrides);
+    const masterPath = layouts['page-master'];
+    delete layouts['page-master'];
+    Object.keys(layouts).forEach(name => {
+      // Compile layouts with comment stripping
+      this.templates[name] = this.handlebars.compile(fs.readFileSync(layouts[name], 'utf8'), COMPILATION_OPTIONS);
     });
 
     // Compile master page template (page_master.hbs)
-    const masterPath = path.join(templatesPath, 'page_master.hbs');
-    if (!fs.existsSync(masterPath)) {
-      throw new Error(`Required template not found: page_master.hbs at ${masterPath}`);
+    if (!masterPath) {
+      throw new Error(`Required template not found: page_master.hbs in ${path.join(templatesPath, 'layouts')}`);
     }
-    const masterContent = fs.readFileSync(masterPath, 'utf8');
-    this.templates['page'] = Handlebars.compile(masterContent, COMPILATION_OPTIONS);
+    this.templates['page'] = this.handlebars.compile(fs.readFileSync(masterPath, 'utf8'), COMPILATION_OPTIONS);
     
-    console.log(`[Renderer:${this.projectConfig.projectName}] Loaded templates from ${templatesPath}`);
+    this.templateFiles = { ...layouts, page: masterPath };
+    this.partialReferences = {};
+    [...Object.values(this.templateFiles), ...Object.values(partials)].forEach(file => {
+      this.partialReferences[file] = this.findPartialReferences(fs.readFileSync(file, 'utf8'));
+    });
+    
+    console.log(
+      `[Renderer:${this.projectConfig.projectName}] Loaded templates from ${templatesPath} ` +
+      `(${Object.keys(layouts).length} layouts, ${Object.keys(partials).length} partials)`
+    );
+    if (overrides.length) {
+      console.log(`[Renderer:${this.projectConfig.projectName}] Project templates: ${overrides.join(', ')}`);
+    }
+  }
+
+  /**
+   * NEW: Discover templates of a kind, keyed by normalized name
+   * (footer.hbs → "footer", form_2_up.hbs → "form-2-up").
+   * Project templates (<project>/templates/<kind>/) take priority over the
+   * shared version, the same way resolveAssetPath() prefers project assets.
+   * @param {string} kind - "layouts" or "partials"
+   * @param {string[]} overrides - Collects "<kind>/<file>" for project templates
+   * @returns {Object} - { name: filePath }
+   */
+  discoverTemplates(kind, overrides = []) {
+    const templates = {};
+    const scan = (dir, isProject) => {
+      if (!dir || !fs.existsSync(path.join(dir, kind))) return;
+      fs.readdirSync(path.join(dir, kind))
+        .filter(file => file.endsWith('.hbs'))
+        .sort()
+        .forEach(file => {
+          templates[file.replace(/\.hbs$/, '').replace(/_/g, '-')] = path.join(dir, kind, file);
+          if (isProject) overrides.push(`${kind}/${file}`);
+        });
+    };
+    
+    scan(this.paths.templates, false);
+    scan(this.paths.projectTemplates, true);
+    return templates;
+  }
+
+  /**
+   * NEW: Partial names a template includes ({{> name}} / {{#> name}}, comments ignored)
+   * @param {string} source - Template source
+   * @returns {string[]} - Partial names
+   */
+  findPartialReferences(source) {
+    const code = source.replace(/\{\{!--[\s\S]*?--\}\}/g, '').replace(/\{\{![\s\S]*?\}\}/g, '');
+    const names = new Set();
+    const pattern = /\{\{#?>\s*([\w-]+)/g;
+    let match;
+    while ((match = pattern.exec(code))) names.add(match[1]);
+    return [...names];
+  }
+
+  /**
+   * NEW: Template files behind compiled templates, including nested partials
+   * @param {string[]} names - Template keys (this.templates)
+   * @returns {string[]} - Sorted file paths
+   */
+  templateDependencies(names) {
+    const files = new Set();
+    const visit = (file) => {
+      if (!file || files.has(file)) return;
+      files.add(file);
+      (this.partialReferences[file] || []).forEach(name => visit(this.partialFiles[name]));
+    };
+    names.forEach(name => visit(this.templateFiles[name]));
+    return [...files].sort();
+  }
+
+  /**
+   * NEW: Layout templates referenced by page configs that don't exist
+   * Checks explicit page sections of every menu page (default language)
+   * @returns {Array} - [{ pageId, section, layout }]
+   */
+  findMissingLayouts() {
+    const missing = [];
+    const visit = (item) => {
+      if (item.id && item.srcFile) {
+        let pageConfig = null;
+        try {
+          pageConfig = this.loadPageConfig(item.id, this.languages.default);
+        } catch (error) {
+          // Unloadable pages are reported by the validator
+        }
+        (pageConfig?.sections || []).forEach((section, index) => {
+          if (!section.layout) return;
+          const template = this.resolveSectionTemplate(section.layout);
+          if (!this.templates[template]) {
+            missing.push({ pageId: item.id, section: index, layout: section.layout });
+          }
+        });
+      }
+      (item.children || []).forEach(visit);
+    };
+    
+    [this.menu.primaryNavigation, this.menu.footerNavigation]
+      .forEach(nav => (nav?.items || []).forEach(visit));
+    
+    missing.forEach(({ pageId, section, layout }) => {
+      console.warn(
+        `[Renderer:${this.projectConfig.projectName}] Missing layout template '${layout}' ` +
+        `(page '${pageId}' sections[${section}])`
+      );
+    });
+    return missing;
   }
 
   /**
@@ -231,51 +385,122 @@ class HTMLRenderer {
   }
 
   /**
-   * PRESERVED: Main rendering logic unchanged
-   * 
-   * Main Render Logic
+   * ENHANCED: Main Render Logic, split around the page hooks
+   * beforePageRender may mutate pageConfig/blocks or veto; afterPageRender may
+   * replace or veto the HTML. Returns null when a hook vetoes the page.
+   */
+  async renderPage(pageId, language = this.languages.default) {
+    const page = this.loadPageContent(pageId, language);
+
+    if (this.hooks && !(await this.hooks.run('beforePageRender', page))) return null;
+
+    page.html = this.renderLoadedPage(page);
+
+    if (this.hooks && !(await this.hooks.run('afterPageRender', page))) return null;
+    return page.html;
+  }
+
+  /**
+   * NEW: Load page config and combined content blocks (hook payload)
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @returns {Object} { pageId, language, pageConfig, blocks, blockSources, fallbackBlocks }
    */
-  async renderPage(pageId, language = 'en') {
+  loadPageContent(pageId, language) {
+    this.language = language;
     const pageConfig = this.loadPageConfig(pageId, language);
-    this.combinedBlocks = {};
+    pageConfig.language = language;
+    const blocks = {};
+    const blockSources = {};
+    this.fallbackBlocks = [];
     
-    // Performance A: pass target hub to content loader
-    const currentHub = pageConfig.hub || 'hub00'; 
+    // Performance A: pass target hub (+ page's cross-hub allow-list) to content loader
+    const currentHub = pageConfig.hub || this.findMenuItemById(pageId).srcFile.split('/')[0];
+    const allowedHubs = this.resolveAllowedHubs(pageConfig, language);
     const sources = pageConfig.contentSources || [pageConfig.contentSource];
 
     sources.forEach(sourceId => {
-      const data = this.loadContentData(sourceId, language, currentHub);
-      Object.assign(this.combinedBlocks, data.blocks);
+      const data = this.loadContentData(sourceId, language, currentHub, allowedHubs);
+      Object.assign(blocks, data.blocks);
+      Object.keys(data.blocks || {}).forEach(blockId => blockSources[blockId] = sourceId);
     });
 
+    if (this.fallbackBlocks.length) {
+      console.log(
+        `[Renderer:${this.projectConfig.projectName}] ${language}/${pageId}: ` +
+        `${this.fallbackBlocks.length} block(s) from fallback '${this.languages.fallback}'`
+      );
+    }
+
+    return { pageId, language, pageConfig, blocks, blockSources, fallbackBlocks: this.fallbackBlocks };
+  }
+
+  /**
+   * NEW: Render a loaded page to HTML
+   * Restores per-page state first: async hooks let other pages load in between
+   * @param {Object} page - Result of loadPageContent()
+   * @returns {string} Page HTML
+   */
+  renderLoadedPage(page) {
+    const { pageId, language, pageConfig } = page;
+    this.language = language;
+    this.combinedBlocks = page.blocks;
+    this.blockSources = page.blockSources;
+    this.fallbackBlocks = page.fallbackBlocks;
+    this.usedTemplates = new Set(['page']);
+
     const contentHTML = this.renderCustomSections(pageConfig);
     const rawHTML = this.templates.page({
       site: this.siteConfig,
       page: pageConfig,
+      language,
+      pageUrl: this.absoluteUrl(this.linkPath(pageId)),
+      alternates: this.buildAlternateLinks(pageId),
+      structuredData: this.structuredData ? this.structuredData.render(page) : '',
       content: this.combinedBlocks,
+      headerHTML: this.renderPageHeader(pageConfig, { contentHasH1: /<h1\b/i.test(contentHTML) }),
+      secondaryNavHTML: this.renderSecondaryNav(pageConfig),
+      languageSwitcher: this.buildLanguageSwitcher(pageId),
       contentHTML,
       primaryNav: this.renderPrimaryNav(pageId),
       footer: this.renderFooter()
     });
     
+    this.pageDependencies[`${language}/${pageId}`] = {
+      templates: this.templateDependencies([...this.usedTemplates])
+    };
+    
     // Clean citation tags from final output
     return this.cleanCitationTags(rawHTML);
   }
 
   /**
+   * ENHANCED: Missing blocks / unknown layouts go through missingContentPolicy
    * PRESERVED: Custom section rendering unchanged
    * 
    * FIX: Ensures customClass from section.settings is merged into block context for Handlebars.
    */
   renderCustomSections(pageConfig) {
     let html = '';
-    pageConfig.sections.forEach(section => {
+    this.resolvePageSections(pageConfig).forEach((section, index) => {
       const sourceBlock = this.combinedBlocks[section.contentBlock];
-      if (!sourceBlock) return;
+      if (!sourceBlock) {
+        html += this.reportMissingContent(pageConfig, index, 'missing-block', section.contentBlock,
+          `Content block "${section.contentBlock}" not found in ` +
+          `${(pageConfig.contentSources || [pageConfig.contentSource]).join(', ')}`);
+        return;
+      }
+      // Layout ids resolve like in findMissingLayouts() (_layouts.json template, alias table)
+      const templateName = this.resolveSectionTemplate(section.layout);
+      if (!this.templates[templateName]) {
+        html += this.reportMissingContent(pageConfig, index, 'unknown-layout', section.layout,
+          `Layout "${section.layout}" has no compiled template (block "${section.contentBlock}")`);
+        return;
+      }
       const block = JSON.parse(JSON.stringify(sourceBlock));
 
       // 1. Inject mediaSide positioning metadata
-      if (section.layout === 'split-layout' && section.settings.mediaSide) {
+      if (templateName === 'split-layout' && section.settings.mediaSide) {
         const side = section.settings.mediaSide;
         const textSide = side === 'left' ? 'right' : 'left';
         block.elements.forEach(el => el.position = (el.type === 'media') ? side : textSide);
@@ -285,44 +510,727 @@ class HTMLRenderer {
       // This is CRITICAL for the centering fix in text_block.hbs
       block.customClass = section.settings.customClass; 
 
-      const template = this.templates[section.layout];
+      // 3. Inject split ratio (layouts read it from the block context)
+      if (section.settings.split) block.split = section.settings.split;
+
+      const template = this.templates[templateName];
+      this.usedTemplates.add(templateName);
       // Pass the augmented block object to the template
       if (template) {
-        html += template({ block: block, content: block, ...section.settings });
+        html += template({ block: block, content: block, language: this.language, ...section.settings });
       }
     });
     return html;
   }
 
+  /**
+   * NEW: Records a missing block / unknown layout according to missingContentPolicy
+   *
+   * warn: structured warning, section skipped
+   * error: recorded for the builder to fail the build, section skipped
+   * placeholder: visible placeholder section (development builds)
+   * @param {Object} pageConfig - Page configuration
+   * @param {number} index - Section index
+   * @param {string} kind - "missing-block" | "unknown-layout"
+   * @param {string} target - Missing block id or layout name
+   * @param {string} message - Human-readable description
+   * @returns {string} - Placeholder HTML (empty unless policy is "placeholder")
+   */
+  reportMissingContent(pageConfig, index, kind, target, message) {
+    const issue = {
+      kind,
+      target,
+      pageId: pageConfig.pageId,
+      language: this.language,
+      section: index,
+      message
+    };
+    this.contentIssues.push(issue);
+
+    const log = this.missingContentPolicy === 'error' ? console.error : console.warn;
+    log(
+      `[Renderer:${this.projectConfig.projectName}] ${kind} ${this.language}/${pageConfig.pageId} ` +
+      `sections[${index}]: ${message}`
+    );
+
+    if (this.missingContentPolicy !== 'placeholder') return '';
+
+    return `<section class="static-section missing-content-placeholder" data-missing="${kind}" ` +
+      'style="border: 2px dashed #c0392b; color: #c0392b; padding: 24px; margin: 16px 0; text-align: center;">' +
+      `<strong>${kind === 'missing-block' ? 'Missing block' : 'Unknown layout'}: ${helpers.escapeHtml(target || '(none)')}</strong>` +
+      `<br><small>${helpers.escapeHtml(message)}</small></section>`;
+  }
+
+  /**
+   * NEW: Resolves the section list for a page
+   *
+   * Explicit page.sections always win. Otherwise the page template's contentLayout
+   * (_page-templates.json) lays out the loaded content blocks in source order:
+   * - repeating-alternating: media blocks alternate mediaSide starting at firstSide
+   * - dynamic-sections: layout inferred per block (media / panels / text)
+   * - static: sectionLayout for every block, or the template's ordered sections list
+   * - manual: page.sections required
+   * @param {Object} pageConfig - Page configuration (*_page.json)
+   * @returns {Array} - Section definitions { source, contentBlock, layout, settings }
+   */
+  resolvePageSections(pageConfig) {
+    if (Array.isArray(pageConfig.sections) && pageConfig.sections.length) {
+      return pageConfig.sections;
+    }
+
+    const templateId = pageConfig.pageTemplate || 'custom-sections';
+    const pageTemplate = this.pageTemplates?.pageTemplates?.[templateId];
+    if (!pageTemplate) {
+      console.warn(
+        `[Renderer:${this.projectConfig.projectName}] Unknown page template '${templateId}' ` +
+        `on page '${pageConfig.pageId}'`
+      );
+      return [];
+    }
+
+    const contentLayout = pageTemplate.contentLayout || {};
+    const blockIds = Object.keys(this.combinedBlocks);
+    const section = (blockId, layout, settings = {}) => ({
+      source: this.blockSources[blockId],
+      contentBlock: blockId,
+      layout,
+      settings
+    });
+
+    switch (contentLayout.pattern) {
+      case 'repeating-alternating': {
+        let side = contentLayout.firstSide || 'left';
+        return blockIds.map(blockId => {
+          const layout = this.inferSectionLayout(this.combinedBlocks[blockId], contentLayout.sectionLayout);
+          if (layout !== 'split-layout') return section(blockId, layout, this.defaultSectionSettings(blockId));
+
+          const settings = { mediaSide: side, split: contentLayout.defaultSplit };
+          side = side === 'left' ? 'right' : 'left';
+          return section(blockId, layout, settings);
+        });
+      }
+
+      case 'dynamic-sections':
+        return blockIds.map(blockId => {
+          const layout = this.inferSectionLayout(this.combinedBlocks[blockId]);
+          return layout === 'split-layout'
+            ? section(blockId, layout, { mediaSide: 'right', split: contentLayout.defaultSplit })
+            : section(blockId, layout, this.defaultSectionSettings(blockId));
+        });
+
+      case 'static': {
+        const slots = [...(contentLayout.sections || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+        return blockIds.map((blockId, index) => {
+          const slot = slots[index];
+          const layoutId = slot ? slot.layout : contentLayout.sectionLayout;
+          const layout = layoutId
+            ? this.resolveSectionTemplate(layoutId)
+            : this.inferSectionLayout(this.combinedBlocks[blockId]);
+          return section(blockId, layout, { ...this.defaultSectionSettings(blockId), ...(slot?.settings || {}) });
+        });
+      }
+
+      default:
+        console.warn(
+          `[Renderer:${this.projectConfig.projectName}] Page '${pageConfig.pageId}' uses template ` +
+          `'${templateId}' but defines no sections`
+        );
+        return [];
+    }
+  }
+
+  /**
+   * NEW: Maps a _layouts.json layout id to a compiled layout template name
+   * A layout definition may name its template explicitly ("template": "grid-layout");
+   * a discovered template of the same name (e.g. project hero_banner.hbs) wins over the alias table
+   * @param {string} layoutId - Section layout id (e.g. "alternating-image")
+   * @returns {string} - Template key in this.templates
+   */
+  resolveSectionTemplate(layoutId) {
+    const definition = this.layouts?.layouts?.[layoutId];
+    if (definition && definition.template) return definition.template;
+    if (this.templates[layoutId]) return layoutId;
+    return SECTION_LAYOUT_TEMPLATES[layoutId] || layoutId;
+  }
+
+  /**
+   * NEW: Picks a layout template from a content block's shape
+   * Block layout (e.g. "complex-split") → that template, panels → grid,
+   * media → template sectionLayout (default split), otherwise text block
+   * @param {Object} block - Content block
+   * @param {string} mediaLayout - Section layout id used for media blocks
+   * @returns {string} - Template key in this.templates
+   */
+  inferSectionLayout(block, mediaLayout = 'alternating-image') {
+    if (!block) return 'text-block';
+    if (block.layout && this.templates[this.resolveSectionTemplate(block.layout)]) {
+      return this.resolveSectionTemplate(block.layout);
+    }
+    if (Array.isArray(block.panels) && block.panels.length) return 'grid-layout';
+    const hasMedia = (block.elements || []).some(el => el.type === 'media');
+    return hasMedia ? this.resolveSectionTemplate(mediaLayout) : 'text-block';
+  }
+
+  /**
+   * NEW: Default settings for generated non-split sections
+   * @param {string} blockId - Content block id
+   * @returns {Object} - Section settings
+   */
+  defaultSectionSettings(blockId) {
+    const block = this.combinedBlocks[blockId];
+    if (block && Array.isArray(block.panels) && block.panels.length) {
+      return { columns: Math.min(Math.max(block.panels.length, 2), 4) };
+    }
+    return {};
+  }
+
+  /**
+   * NEW: Resolves the header layout definition for a page
+   *
+   * Priority: page override (page.headerLayout) > page template headerLayout > "standard"
+   * @param {Object} pageConfig - Page configuration (*_page.json)
+   * @returns {Object|null} - Layout definition from _header-layouts.json
+   */
+  resolveHeaderLayout(pageConfig) {
+    const headerLayouts = (this.headerLayouts && this.headerLayouts.headerLayouts) || {};
+    const pageTemplate = this.pageTemplates?.pageTemplates?.[pageConfig.pageTemplate];
+    const layoutId = pageConfig.headerLayout || pageTemplate?.headerLayout || 'standard';
+
+    if (!headerLayouts[layoutId]) {
+      console.warn(
+        `[Renderer:${this.projectConfig.projectName}] Unknown header layout '${layoutId}' ` +
+        `on page '${pageConfig.pageId}', using 'standard'`
+      );
+      return headerLayouts.standard || null;
+    }
+
+    return headerLayouts[layoutId];
+  }
+
+  /**
+   * NEW: Page header rendering (_header-layouts.json)
+   *
+   * Builds the header from page.metadata.title/subtitle, rendering only the
+   * layout's components in order. cssClasses map to [container, title, subtitle];
+   * styling values are applied inline so each layout renders as configured.
+   * The title is the page's <h1> unless the content already has one (one <h1> per page).
+   * @param {Object} pageConfig - Page configuration (*_page.json)
+   * @param {Object} options - { contentHasH1 }
+   * @returns {string} - Header HTML (empty for "none" and integrated layouts)
+   */
+  renderPageHeader(pageConfig, options = {}) {
+    const layout = this.resolveHeaderLayout(pageConfig);
+    if (!layout || layout.style === 'none' || layout.style === 'integrated') return '';
+
+    const components = layout.components || [];
+    if (components.length === 0) return '';
+
+    const metadata = pageConfig.metadata || {};
+    const styling = layout.styling || {};
+    const [containerClass, titleClass = 'page-main-title', subtitleClass = 'page-sub-title'] =
+      layout.cssClasses && layout.cssClasses.length ? layout.cssClasses : ['page-header-meta'];
+
+    const styleAttr = (declarations) => {
+      const style = helpers.buildInlineStyle(declarations);
+      return style ? ` style="${helpers.escapeHtml(style)}"` : '';
+    };
+
+    const parts = [];
+    components.forEach(component => {
+      switch (component) {
+        case 'breadcrumb':
+          parts.push(this.renderBreadcrumb(pageConfig.pageId, styling));
+          break;
+        case 'title':
+          if (metadata.title) {
+            const tag = options.contentHasH1 ? 'p' : 'h1';
+            parts.push(`<${tag} class="${titleClass}"${styleAttr({
+              'font-size': styling.titleSize,
+              'font-weight': styling.titleWeight,
+              'color': styling.titleColor
+            })}>${helpers.escapeHtml(metadata.title)}</${tag}>`);
+          }
+          break;
+        case 'subtitle':
+          if (metadata.subtitle) {
+            parts.push(`<p class="${subtitleClass}"${styleAttr({
+              'font-size': styling.subtitleSize,
+              'font-weight': styling.subtitleWeight,
+              'color': styling.subtitleColor,
+              'text-transform': styling.subtitleStyle
+            })}>${helpers.escapeHtml(metadata.subtitle)}</p>`);
+          }
+          break;
+        case 'divider':
+          // Full-width dividers are the container's bottom border (matches .page-header-meta)
+          if (styling.dividerStyle !== 'full-width') {
+            parts.push(`<hr class="page-header-divider divider-${styling.dividerStyle || 'centered'}"${styleAttr({
+              'width': styling.dividerWidth,
+              'border-color': styling.dividerColor,
+              'margin-left': 'auto',
+              'margin-right': 'auto'
+            })}>`);
+          }
+          break;
+        case 'actions':
+          parts.push(this.renderHeaderActions(layout.actions, styling));
+          break;
+        default:
+          console.warn(
+            `[Renderer:${this.projectConfig.projectName}] Unsupported header component '${component}' ` +
+            `in layout '${layout.id}'`
+          );
+      }
+    });
+
+    const hasFullWidthDivider = components.includes('divider') && styling.dividerStyle === 'full-width';
+    const alignment = layout.alignment === 'split' ? null : layout.alignment;
+    const classes = [
+      'page-header',
+      containerClass,
+      `page-header-${layout.id}`,
+      styling.spacing ? `header-spacing-${styling.spacing}` : ''
+    ].filter(Boolean).join(' ');
+
+    return `<header class="${classes}" data-header-layout="${layout.id}"${styleAttr({
+      'text-align': alignment,
+      'display': layout.alignment === 'split' ? 'flex' : null,
+      'justify-content': layout.alignment === 'split' ? 'space-between' : null,
+      'align-items': layout.alignment === 'split' ? 'center' : null,
+      'border-bottom': hasFullWidthDivider ? `1px solid ${styling.dividerColor || 'var(--border-primary)'}` : null
+    })}>${parts.join('')}</header>`;
+  }
+
+  /**
+   * NEW: Breadcrumb trail for the "breadcrumb" header component
+   * Uses _menu.json hierarchy and breadcrumbConfig (homeLabel, separator)
+   * @param {string} pageId - Current page identifier
+   * @param {Object} styling - Header layout styling
+   * @returns {string} - Breadcrumb HTML
+   */
+  renderBreadcrumb(pageId, styling = {}) {
+    const config = this.menu.breadcrumbConfig || {};
+    const separator = helpers.escapeHtml(styling.breadcrumbSeparator || config.separator || '>');
+    const trail = this.findMenuTrail(pageId).filter(item => item.id !== 'home');
+
+    const crumbs = [`<a href="${this.linkPath('home')}" class="breadcrumb-link">${helpers.escapeHtml(this.localize(config.homeLabel) || 'Home')}</a>`];
+    trail.forEach((item, index) => {
+      const label = helpers.escapeHtml(this.menuLabel(item));
+      crumbs.push(index === trail.length - 1
+        ? `<span class="breadcrumb-current" aria-current="page">${label}</span>`
+        : `<a href="${this.linkPath(item.id)}" class="breadcrumb-link">${label}</a>`);
+    });
+
+    const style = helpers.buildInlineStyle({ 'color': styling.breadcrumbColor });
+    return `<nav class="breadcrumb-nav" aria-label="Breadcrumb"${style ? ` style="${helpers.escapeHtml(style)}"` : ''}>` +
+      crumbs.join(` <span class="breadcrumb-separator">${separator}</span> `) +
+      '</nav>';
+  }
+
+  /**
+   * NEW: Action buttons for the "actions" header component
+   * @param {Array} actions - Action definitions from the header layout
+   * @param {Object} styling - Header layout styling
+   * @returns {string} - Actions HTML
+   */
+  renderHeaderActions(actions, styling = {}) {
+    if (!Array.isArray(actions) || actions.length === 0) return '';
+
+    const buttons = actions.map(action => {
+      const style = action.style || styling.actionButtonStyle || 'primary';
+      const icon = action.icon ? ` data-icon="${helpers.escapeHtml(action.icon)}"` : '';
+      return `<button type="button" class="ips-button page-header-action ${style}"${icon}>` +
+        `${helpers.escapeHtml(this.localize(action.label))}</button>`;
+    });
+
+    return `<div class="page-header-actions">${buttons.join('')}</div>`;
+  }
+
+  /**
+   * NEW: Resolves secondary navigation context for a page
+   *
+   * The hub is the page itself (hub page) or its parent menu item (spoke page).
+   * Layout priority: page override (page.secondaryNav) > hub secondaryNav.layout > page template.
+   * Visibility: hub showOnHub/showOnSpokes flags override the layout's visibility defaults.
+   * @param {Object} pageConfig - Page configuration (*_page.json)
+   * @returns {Object|null} - { layout, hubItem, isHubPage } or null when hidden
+   */
+  resolveSecondaryNav(pageConfig) {
+    const navLayouts = (this.navigationLayouts && this.navigationLayouts.navigationLayouts) || {};
+    const trail = this.findMenuTrail(pageConfig.pageId);
+    const pageItem = trail[trail.length - 1];
+    const isHubPage = !!(pageItem && Array.isArray(pageItem.children) && pageItem.children.length);
+    const hubItem = isHubPage ? pageItem : trail[trail.length - 2];
+    const hubNav = (hubItem && hubItem.secondaryNav) || {};
+    const pageTemplate = this.pageTemplates?.pageTemplates?.[pageConfig.pageTemplate];
+
+    let layoutId = pageConfig.secondaryNav;
+    const fromMenu = !layoutId && hubNav.layout && hubNav.layout !== 'none';
+    if (!layoutId) {
+      layoutId = fromMenu ? hubNav.layout : (pageTemplate?.secondaryNav || 'none');
+    }
+    if (layoutId === 'none' || !hubItem) return null;
+
+    const layout = navLayouts[layoutId];
+    if (!layout) {
+      console.warn(
+        `[Renderer:${this.projectConfig.projectName}] Unknown navigation layout '${layoutId}' ` +
+        `on page '${pageConfig.pageId}'`
+      );
+      return null;
+    }
+
+    const visibility = layout.visibility || {};
+    const menuFlag = fromMenu ? (isHubPage ? hubNav.showOnHub : hubNav.showOnSpokes) : undefined;
+    const visible = menuFlag !== undefined ? menuFlag : (isHubPage ? visibility.hubPage : visibility.spokePage);
+    if (!visible) return null;
+
+    // Hub-sections tabs can be suppressed on the hub's default section
+    const hideWhenDefault = hubNav.hideWhenDefault || layout.behavior?.hideWhenHome;
+    if (hideWhenDefault && hubItem.defaultSection === pageConfig.pageId) return null;
+
+    return { layout, hubItem, isHubPage };
+  }
+
+  /**
+   * NEW: Hub link + child links for secondary navigation
+   * @param {Object} hubItem - Hub menu item
+   * @param {string} pageId - Current page identifier
+   * @param {boolean} includeHub - Prepend the hub link
+   * @returns {Array} - [{ id, label, href, isActive, isHub }]
+   */
+  buildSecondaryNavItems(hubItem, pageId, includeHub = true) {
+    const children = [...(hubItem.children || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const items = children.map(child => ({
+      id: child.id,
+      label: this.menuLabel(child),
+      href: this.linkPath(child.id),
+      isActive: child.id === pageId,
+      isHub: false
+    }));
+
+    if (includeHub) {
+      items.unshift({
+        id: hubItem.id,
+        label: this.menuLabel(hubItem),
+        href: this.linkPath(hubItem.id),
+        isActive: hubItem.id === pageId,
+        isHub: true
+      });
+    }
+    return items;
+  }
+
+  /**
+   * NEW: Secondary navigation rendering (_navigation-layouts.json)
+   *
+   * Supports tab-bar-sibling (hub link + siblings), tab-bar-hub-sections
+   * (hub children), sidebar, breadcrumb, dropdown and pagination styles.
+   * @param {Object} pageConfig - Page configuration (*_page.json)
+   * @returns {string} - Secondary navigation HTML (empty when not shown)
+   */
+  renderSecondaryNav(pageConfig) {
+    const context = this.resolveSecondaryNav(pageConfig);
+    if (!context) return '';
+
+    const { layout, hubItem } = context;
+    const pageId = pageConfig.pageId;
+    const behavior = layout.behavior || {};
+    const classes = layout.cssClasses || [];
+    const highlight = behavior.highlightActive !== false;
+    const style = helpers.buildInlineStyle(layout.styling);
+    const styleAttr = style ? ` style="${helpers.escapeHtml(style)}"` : '';
+    const label = helpers.escapeHtml(`${this.menuLabel(hubItem)} navigation`);
+
+    const link = (item, itemClass) => {
+      const active = highlight && item.isActive;
+      const linkStyle = item.isHub ? behavior.hubLinkStyle : behavior.siblingLinkStyle;
+      const cls = [itemClass, item.isHub ? classes[2] : '', linkStyle || '', active ? 'active' : '']
+        .filter(Boolean).join(' ');
+      return `<a href="${item.href}" class="${cls}" data-nav-id="${item.id}"` +
+        `${active ? ' aria-current="page"' : ''}>${helpers.escapeHtml(item.label)}</a>`;
+    };
+
+    switch (layout.style) {
+      case 'horizontal-tabs': {
+        if (behavior.sourceFromChildren) {
+          // tab-bar-hub-sections: [wrapper, bar, item]
+          const items = this.buildSecondaryNavItems(hubItem, pageId, false);
+          return `<div class="secondary-nav ${classes[0] || 'page-menu-wrapper'}" data-nav-layout="${layout.id}"${styleAttr}>` +
+            `<nav class="${classes[1] || 'page-submenu-bar'}" aria-label="${label}">` +
+            items.map(item => link(item, classes[2] || 'page-submenu-item')).join('') +
+            '</nav></div>';
+        }
+
+        // tab-bar-sibling: [block, item, hub link]
+        const items = this.buildSecondaryNavItems(hubItem, pageId, behavior.showHubLink !== false)
+          .filter(item => item.isHub || behavior.showSiblings !== false);
+        return `<nav class="secondary-nav ${classes[0] || 'sibling-nav-block'}" data-nav-layout="${layout.id}" ` +
+          `aria-label="${label}"${styleAttr}>` +
+          items.map(item => link(item, classes[1] || 'sibling-nav-item')).join('') +
+          '</nav>';
+      }
+
+      case 'vertical-sidebar': {
+        const items = this.buildSecondaryNavItems(hubItem, pageId, behavior.showHubLink !== false)
+          .filter(item => item.isHub || behavior.showSiblings !== false);
+        return `<aside class="secondary-nav ${classes[0] || 'sidebar-nav'}" data-nav-layout="${layout.id}"${styleAttr}>` +
+          `<nav aria-label="${label}"><ul>` +
+          items.map(item => `<li>${link(item, 'sidebar-nav-item')}</li>`).join('') +
+          '</ul></nav></aside>';
+      }
+
+      case 'breadcrumb':
+        return this.renderBreadcrumb(pageId, { breadcrumbSeparator: behavior.separator });
+
+      case 'dropdown': {
+        const items = this.buildSecondaryNavItems(hubItem, pageId, behavior.showHubLink !== false);
+        const options = items.map(item =>
+          `<option value="${item.href}"${item.isActive ? ' selected' : ''}>${helpers.escapeHtml(item.label)}</option>`
+        ).join('');
+        const onChange = behavior.autoNavigate ? ' onchange="window.location.href=this.value;"' : '';
+        return `<div class="secondary-nav ${classes[0] || 'dropdown-nav'}" data-nav-layout="${layout.id}"${styleAttr}>` +
+          `<select aria-label="${label}"${onChange}>` +
+          `<option value="" disabled>${helpers.escapeHtml(behavior.defaultLabel || 'Navigate to...')}</option>` +
+          options + '</select></div>';
+      }
+
+      case 'pagination': {
+        const items = this.buildSecondaryNavItems(hubItem, pageId, false);
+        const index = items.findIndex(item => item.isActive);
+        if (index === -1) return '';
+        const wrap = behavior.wrapAround;
+        const prev = index > 0 ? items[index - 1] : (wrap ? items[items.length - 1] : null);
+        const next = index < items.length - 1 ? items[index + 1] : (wrap ? items[0] : null);
+        return `<nav class="secondary-nav ${classes[0] || 'pagination-nav'}" data-nav-layout="${layout.id}" ` +
+          `aria-label="${label}"${styleAttr}>` +
+          (behavior.showPrevious !== false && prev
+            ? `<a href="${prev.href}" class="pagination-prev" rel="prev">&lsaquo; ${helpers.escapeHtml(prev.label)}</a>` : '') +
+          (behavior.showNext !== false && next
+            ? `<a href="${next.href}" class="pagination-next" rel="next">${helpers.escapeHtml(next.label)} &rsaquo;</a>` : '') +
+          '</nav>';
+      }
+
+      default:
+        console.warn(
+          `[Renderer:${this.projectConfig.projectName}] Unsupported navigation style '${layout.style}' ` +
+          `in layout '${layout.id}'`
+        );
+        return '';
+    }
+  }
+
+  /**
+   * ENHANCED: Block-by-block language fallback
+   *
+   * Blocks missing from the translation (or a missing translation file) are taken
+   * from the fallback language; block order follows the fallback file.
+   */
+  loadContentData(sourceId, language, targetHub, allowedHubs = []) {
+    const fallback = this.languages.fallback;
+    const translatedPath = this.findContentFile(sourceId, language, targetHub, allowedHubs);
+    const fallbackPath = language !== fallback
+      ? this.findContentFile(sourceId, fallback, targetHub, allowedHubs)
+      : null;
+
+    if (!translatedPath && !fallbackPath) {
+      throw new Error(
+        `Content JSON not found: ${sourceId} ` +
+        `(searched ${[targetHub, ...allowedHubs].join(', ')}; add the hub to page "allowedHubs" for cross-hub content)`
+      );
+    }
+
+    const translated = translatedPath ? helpers.loadJSON(translatedPath) : null;
+    if (!fallbackPath) return translated;
+
+    const base = helpers.loadJSON(fallbackPath) || {};
+    const translatedBlocks = (translated && translated.blocks) || {};
+    const blocks = {};
+    Object.keys(base.blocks || {}).forEach(blockId => {
+      if (translatedBlocks[blockId]) {
+        blocks[blockId] = translatedBlocks[blockId];
+      } else {
+        blocks[blockId] = base.blocks[blockId];
+        this.fallbackBlocks.push(blockId);
+      }
+    });
+    // Translation-only blocks keep their place after the fallback blocks
+    Object.assign(blocks, translatedBlocks);
+
+    return { ...base, ...(translated || {}), blocks };
+  }
+
   /**
    * ENHANCED: Uses dynamic paths.src
    * PRESERVED: Direct routing performance optimization unchanged
    * 
    * Performance A: Loads content directly from identified hub.
+   * @param {string[]} allowedHubs - Hubs the page may borrow content from
+   * @returns {string|null} - Content file path for the language, or null
    */
-  loadContentData(sourceId, language, targetHub) {
+  findContentFile(sourceId, language, targetHub, allowedHubs = []) {
     // 1. Prioritize direct routing: Search current hub identified in renderPage
     const directPath = path.join(this.paths.src, language, targetHub, `${sourceId}.json`);
-    if (fs.existsSync(directPath)) return helpers.loadJSON(directPath);
+    if (fs.existsSync(directPath)) return directPath;
 
-    // 2. Fallback: Search only if target hub differs (rare authorized cross-hub merge)
-    const hubs = ['hub00', 'hub01', 'hub02'].filter(h => h !== targetHub);
+    // 2. Fallback: Only hubs explicitly allowed by the page (authorized cross-hub merge)
+    const hubs = allowedHubs.filter(h => h !== targetHub);
     for (const hub of hubs) {
       const p = path.join(this.paths.src, language, hub, `${sourceId}.json`);
-      if (fs.existsSync(p)) return helpers.loadJSON(p);
+      if (fs.existsSync(p)) return p;
     }
-    throw new Error(`Content JSON not found: ${sourceId}`);
+    return null;
   }
 
   /**
-   * ENHANCED: Uses dynamic paths.src
+   * NEW: Discovers hub directories for a language
+   *
+   * Hubs are the union of src/<lang>/ folders matching site_config hubPattern
+   * (e.g. "hub{00-99}") and the declared hubDefinitions, capped at maxHubs.
+   * @param {string} language - Language code
+   * @returns {string[]} - Sorted hub ids
+   */
+  discoverHubs(language) {
+    if (this.hubs[language]) return this.hubs[language];
+
+    const structure = this.siteConfig.directories?.structure || {};
+    const pattern = structure.hubPattern || 'hub{00-99}';
+    const match = pattern.match(/^(.*)\{(\d+)-(\d+)\}$/);
+    const prefix = match ? match[1] : 'hub';
+    const digits = match ? match[2].length : 2;
+    const hubRegex = new RegExp(`^${prefix}\\d{${digits}}$`);
+
+    const found = new Set(Object.keys(structure.hubDefinitions || {}));
+    const langPath = path.join(this.paths.src, language);
+    if (fs.existsSync(langPath)) {
+      fs.readdirSync(langPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && hubRegex.test(entry.name))
+        .forEach(entry => found.add(entry.name));
+    }
+
+    let hubs = [...found].sort();
+    const maxHubs = structure.maxHubs || 100;
+    if (hubs.length > maxHubs) {
+      console.warn(
+        `[Renderer:${this.projectConfig.projectName}] ${hubs.length} hubs found in ${language}, ` +
+        `only the first ${maxHubs} (maxHubs) are used`
+      );
+      hubs = hubs.slice(0, maxHubs);
+    }
+
+    this.hubs[language] = hubs;
+    return hubs;
+  }
+
+  /**
+   * NEW: Cross-hub allow-list for a page (page.allowedHubs)
+   * Unknown hubs (not in this or the fallback language) are dropped with a warning.
+   * @param {Object} pageConfig - Page configuration (*_page.json)
+   * @param {string} language - Language code
+   * @returns {string[]} - Allowed hub ids
+   */
+  resolveAllowedHubs(pageConfig, language) {
+    const requested = pageConfig.allowedHubs || [];
+    const known = [...this.discoverHubs(language), ...this.discoverHubs(this.languages.fallback)];
+    return requested.filter(hub => {
+      if (known.includes(hub)) return true;
+      console.warn(
+        `[Renderer:${this.projectConfig.projectName}] Page '${pageConfig.pageId}' allows unknown hub '${hub}'`
+      );
+      return false;
+    });
+  }
+
+  /**
+   * ENHANCED: Falls back to the fallback language when the page has no translation
    * PRESERVED: Page config loading logic unchanged
    */
   loadPageConfig(pageId, language) {
     const menuItem = this.findMenuItemById(pageId);
     // Assumes srcFile structure is 'hubXX/pageId'
     const hubId = menuItem.srcFile.split('/')[0]; 
-    return helpers.loadJSON(path.join(this.paths.src, language, hubId, `${pageId}_page.json`));
+    const pagePath = path.join(this.paths.src, language, hubId, `${pageId}_page.json`);
+    if (fs.existsSync(pagePath) || language === this.languages.fallback) {
+      return helpers.loadJSON(pagePath);
+    }
+    return helpers.loadJSON(path.join(this.paths.src, this.languages.fallback, hubId, `${pageId}_page.json`));
+  }
+
+  /**
+   * NEW: Source files a rendered page depends on for one language
+   * Page JSON plus every content source, translated and fallback (see loadContentData)
+   * @param {string} pageId - Page identifier
+   * @param {string} language - Language code
+   * @returns {string[]} - Existing file paths
+   */
+  pageSourceFiles(pageId, language) {
+    const menuItem = this.findMenuItemById(pageId);
+    const hubId = menuItem.srcFile.split('/')[0];
+    const languages = [...new Set([language, this.languages.fallback])];
+    const files = languages
+      .map(lang => path.join(this.paths.src, lang, hubId, `${pageId}_page.json`))
+      .filter(file => fs.existsSync(file));
+
+    const pageConfig = this.loadPageConfig(pageId, language);
+    const targetHub = pageConfig.hub || hubId;
+    const allowedHubs = this.resolveAllowedHubs(pageConfig, language);
+    (pageConfig.contentSources || [pageConfig.contentSource]).filter(Boolean).forEach(sourceId => {
+      languages.forEach(lang => {
+        const file = this.findContentFile(sourceId, lang, targetHub, allowedHubs);
+        if (file) files.push(file);
+      });
+    });
+    return files;
+  }
+
+  /**
+   * NEW: Loads per-language menu labels (_menu.<lang>.json)
+   *
+   * Menu structure always comes from _menu.json; a language file supplies labels
+   * either in the same item shape (matched by id) or as a flat "labels" map.
+   * @param {string} sitePath - Site config directory
+   * @returns {Object} - { lang: { itemId: label } }
+   */
+  loadMenuTranslations(sitePath) {
+    const translations = {};
+    this.languages.supported.forEach(lang => {
+      const file = path.join(sitePath, `_menu.${lang}.json`);
+      if (!fs.existsSync(file)) return;
+
+      const data = helpers.loadJSON(file) || {};
+      const labels = {};
+      const collect = (items = []) => items.forEach(item => {
+        if (item.id && item.label) labels[item.id] = item.label;
+        if (item.children) collect(item.children);
+      });
+      collect(data.primaryNavigation && data.primaryNavigation.items);
+      collect(data.footerNavigation && data.footerNavigation.items);
+      translations[lang] = Object.assign(labels, data.labels || {});
+    });
+    return translations;
+  }
+
+  /**
+   * NEW: Resolves a translatable value for the current language
+   * Accepts a plain string or a label map ({ "en": "Home", "es": "Inicio" })
+   * @param {string|Object} value - Label or label map
+   * @returns {string} - Localized label (falls back to fallback/default language)
+   */
+  localize(value) {
+    if (!value || typeof value !== 'object') return value;
+    return value[this.language] || value[this.languages.fallback] ||
+      value[this.languages.default] || Object.values(value)[0];
+  }
+
+  /**
+   * NEW: Menu item label for the current language
+   * Priority: _menu.<lang>.json > inline label map > plain label
+   * @param {Object} item - Menu item
+   * @returns {string} - Localized label
+   */
+  menuLabel(item) {
+    const translated = this.menuLabels[this.language] && this.menuLabels[this.language][item.id];
+    return translated || this.localize(item.label);
   }
 
   /**
@@ -343,25 +1251,125 @@ class HTMLRenderer {
   }
 
   /**
+   * NEW: Menu trail search (root item → page item)
+   * @param {string} id - Page identifier
+   * @returns {Array} - Menu items from top level down to the page (empty if not found)
+   */
+  findMenuTrail(id) {
+    const search = (items, trail) => {
+      for (const item of items) {
+        if (item.id === id) return [...trail, item];
+        if (item.children) {
+          const found = search(item.children, [...trail, item]);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+    return search(this.menu.primaryNavigation.items, []) ||
+      search(this.menu.footerNavigation.items, []) || [];
+  }
+
+  /**
+   * NEW: Internal link for the language currently being rendered
+   * @param {string} targetId - Page identifier
+   * @returns {string} - Language-prefixed page URL (e.g. /es/markets.html)
+   */
+  linkPath(targetId) {
+    return helpers.resolveLinkPath(targetId, this.language);
+  }
+
+  /**
+   * NEW: Absolute URL from site_config branding.siteUrl
+   * @param {string} pathname - Root-relative path
+   * @returns {string} - Absolute URL
+   */
+  absoluteUrl(pathname) {
+    return helpers.resolveAbsoluteUrl(this.siteConfig.branding?.siteUrl, pathname);
+  }
+
+  /**
+   * NEW: hreflang alternates for every supported language (+ x-default)
+   * @param {string} pageId - Page identifier
+   * @returns {Array} - [{ hreflang, href }]
+   */
+  buildAlternateLinks(pageId) {
+    const alternates = this.languages.supported.map(lang => ({
+      hreflang: lang,
+      href: this.absoluteUrl(helpers.resolveLinkPath(pageId, lang))
+    }));
+    alternates.push({
+      hreflang: 'x-default',
+      href: this.absoluteUrl(helpers.resolveLinkPath(pageId, this.languages.default))
+    });
+    return alternates;
+  }
+
+  /**
+   * NEW: Language switcher entries linking the page in every supported language
+   * Display names come from site_config languages.labels (default: upper-case code)
+   * @param {string} pageId - Page identifier
+   * @returns {Array} - [{ code, label, href, isActive }]
+   */
+  buildLanguageSwitcher(pageId) {
+    const labels = (this.siteConfig.languages && this.siteConfig.languages.labels) || {};
+    return this.languages.supported.map(code => ({
+      code,
+      label: labels[code] || code.toUpperCase(),
+      href: helpers.resolveLinkPath(pageId, code),
+      isActive: code === this.language
+    }));
+  }
+
+  /**
+   * NEW: Root index.html sending visitors to the default language tree
+   * @returns {string} - Redirect page HTML
+   */
+  renderLanguageRedirect() {
+    const target = helpers.resolveLinkPath('home', this.languages.default);
+    const alternates = this.buildAlternateLinks('home')
+      .map(alt => `  <link rel="alternate" hreflang="${alt.hreflang}" href="${alt.href}">`)
+      .join('\n');
+    return [
+      '<!DOCTYPE html>',
+      `<html lang="${this.languages.default}">`,
+      '<head>',
+      '  <meta charset="UTF-8">',
+      `  <title>${helpers.escapeHtml(this.siteConfig.branding?.siteName || '')}</title>`,
+      `  <meta http-equiv="refresh" content="0; url=${target}">`,
+      `  <link rel="canonical" href="${this.absoluteUrl(target)}">`,
+      alternates,
+      '</head>',
+      '<body>',
+      `  <a href="${target}">${helpers.escapeHtml(this.siteConfig.branding?.siteName || target)}</a>`,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * ENHANCED: Language-prefixed links
    * PRESERVED: Navigation rendering unchanged
    */
   renderPrimaryNav(id) {
     return this.menu.primaryNavigation.items.map(item => ({
       id: item.id, 
-      label: item.label, 
-      href: item.id === 'home' ? '/' : `/${item.id}.html`, 
+      label: this.menuLabel(item), 
+      href: this.linkPath(item.id), 
       isActive: item.id === id
     }));
   }
 
   /**
+   * ENHANCED: Language-prefixed links
    * PRESERVED: Footer rendering unchanged
    */
   renderFooter() {
     return {
       links: this.menu.footerNavigation.items.map(item => ({ 
-        label: item.label, 
-        href: `/${item.id}.html` 
+        label: this.menuLabel(item), 
+        href: this.linkPath(item.id) 
       })),
       copyright: `© ${this.siteConfig.footer.copyrightYear} ${this.siteConfig.contact.companyName}`
     };
@@ -0,0 +1,328 @@
+// ./_system/_buildr/seo_audit.js
+// Post-render SEO Audit for WebGen
+// Titles, meta descriptions, heading hierarchy, image alt text and navigation
+// reachability, checked against the generated output tree
+
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+const LinkChecker = require('./link_checker');
+
+const TITLE = /<title[^>]*>([\s\S]*?)<\/title>/i;
+const META_TAGS = /<meta\b([^>]*)>/gi;
+const HEADINGS = /<h([1-6])\b[^>]*>/gi;
+const IMAGES = /<img\b([^>]*)>/gi;
+const ANCHORS = /<a\b([^>]*)>/gi;
+const HREF_ATTRIBUTE = /\shref\s*=\s*"([^"]*)"/i;
+const ALT_ATTRIBUTE = /\salt\s*=/i;
+const SRC_ATTRIBUTE = /\ssrc\s*=\s*"([^"]*)"/i;
+
+// Markup regions whose links count as site navigation
+const NAVIGATION_REGIONS = /<(nav|footer)\b[\s\S]*?<\/\1>/gi;
+
+// Anything with a scheme or protocol-relative prefix is not part of the output tree
+const EXTERNAL_URL = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+
+const SEVERITY = {
+  'missing-title': 'error',
+  'duplicate-title': 'warning',
+  'title-length': 'warning',
+  'missing-description': 'warning',
+  'duplicate-description': 'warning',
+  'description-length': 'warning',
+  'missing-h1': 'error',
+  'multiple-h1': 'warning',
+  'heading-skip': 'warning',
+  'missing-alt': 'error',
+  'malformed-link': 'warning',
+  'unreachable': 'warning'
+};
+
+/**
+ * Attribute value from a tag's attribute string
+ */
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Decode the entities escapeHtml produces (for length checks)
+ */
+function decodeEntities(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+class SeoAuditor {
+  /**
+   * @param {string} outputPath - Build output root (site root "/")
+   * @param {Object} options - { titleLength: { min, max }, descriptionLength: { min, max } }
+   */
+  constructor(outputPath, options = {}) {
+    this.outputPath = outputPath;
+    this.titleLength = { min: 15, max: 60, ...(options.titleLength || {}) };
+    this.descriptionLength = { min: 70, max: 160, ...(options.descriptionLength || {}) };
+    this.links = new LinkChecker(outputPath);
+  }
+
+  /**
+   * Audit every generated HTML page
+   * @returns {Object} - { pages, errors, warnings, counts: { kind: n }, issues: [{ file, kind, severity, message }] }
+   */
+  run() {
+    const pages = this.links.listHtmlFiles(this.outputPath).map(file => this.analyzePage(file));
+    const audited = pages.filter(page => !page.redirect);
+    const issues = [];
+
+    audited.forEach(page => issues.push(...this.checkPage(page)));
+    issues.push(...this.checkDuplicates(audited, 'title', 'duplicate-title'));
+    issues.push(...this.checkDuplicates(audited, 'description', 'duplicate-description'));
+    issues.push(...this.checkReachability(pages));
+
+    issues.sort((a, b) => a.file.localeCompare(b.file) || a.kind.localeCompare(b.kind));
+
+    const counts = {};
+    issues.forEach(issue => { counts[issue.kind] = (counts[issue.kind] || 0) + 1; });
+
+    return {
+      pages: audited.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      counts,
+      issues
+    };
+  }
+
+  /**
+   * Extract the SEO-relevant facts of one page
+   * @param {string} file - HTML file path
+   * @returns {Object} - { file, relative, language, redirect, noindex, title, description, headings, images, links, navLinks, malformedLinks }
+   */
+  analyzePage(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    const relative = path.relative(this.outputPath, file).split(path.sep).join('/');
+    const meta = {};
+    let match;
+
+    META_TAGS.lastIndex = 0;
+    while ((match = META_TAGS.exec(source))) {
+      const key = (attribute(match[1], 'name') || attribute(match[1], 'http-equiv') || '').toLowerCase();
+      if (key) meta[key] = attribute(match[1], 'content');
+    }
+
+    const headings = [];
+    HEADINGS.lastIndex = 0;
+    while ((match = HEADINGS.exec(source))) headings.push(Number(match[1]));
+
+    const images = [];
+    IMAGES.lastIndex = 0;
+    while ((match = IMAGES.exec(source))) {
+      images.push({ src: (match[1].match(SRC_ATTRIBUTE) || [])[1] || '', hasAlt: ALT_ATTRIBUTE.test(match[1]) });
+    }
+
+    const navigation = source.match(NAVIGATION_REGIONS) || [];
+    const titleMatch = source.match(TITLE);
+    const malformedLinks = new Set();
+
+    return {
+      file,
+      relative,
+      language: relative.includes('/') ? relative.split('/')[0] : null,
+      redirect: 'refresh' in meta,
+      noindex: /noindex/i.test(meta.robots || ''),
+      title: titleMatch ? decodeEntities(titleMatch[1]).trim() : '',
+      description: meta.description ? decodeEntities(meta.description).trim() : '',
+      headings,
+      images,
+      links: this.pageLinks(file, source, malformedLinks),
+      navLinks: this.pageLinks(file, navigation.join('\n')),
+      malformedLinks: [...malformedLinks]
+    };
+  }
+
+  /**
+   * Output files linked from a chunk of markup (<a href> only)
+   * Hrefs with invalid percent-encoding are skipped and collected in `malformed`
+   */
+  pageLinks(file, markup, malformed = null) {
+    const targets = new Set();
+    let match;
+    ANCHORS.lastIndex = 0;
+    while ((match = ANCHORS.exec(markup))) {
+      const href = ((match[1].match(HREF_ATTRIBUTE) || [])[1] || '').replace(/&amp;/g, '&').trim();
+      if (!href || EXTERNAL_URL.test(href)) continue;
+      let pathname;
+      try {
+        pathname = decodeURIComponent(href.split('#')[0].split('?')[0]);
+      } catch (error) {
+        if (malformed) malformed.add(href);
+        continue;
+      }
+      if (!pathname) continue;
+      const target = this.links.resolveTarget(file, pathname);
+      if (target && target.endsWith('.html')) targets.add(target);
+    }
+    return targets;
+  }
+
+  /**
+   * Title, description, heading and image checks for one page
+   */
+  checkPage(page) {
+    const issues = [];
+    const add = (kind, message) => issues.push(this.issue(page, kind, message));
+
+    if (!page.title) {
+      add('missing-title', 'Page has no <title>');
+    } else if (page.title.length < this.titleLength.min || page.title.length > this.titleLength.max) {
+      add('title-length', `Title is ${page.title.length} characters (recommended ${this.titleLength.min}-${this.titleLength.max})`);
+    }
+
+    if (!page.description) {
+      add('missing-description', 'Page has no meta description');
+    } else if (page.description.length < this.descriptionLength.min || page.description.length > this.descriptionLength.max) {
+      add('description-length',
+        `Description is ${page.description.length} characters (recommended ${this.descriptionLength.min}-${this.descriptionLength.max})`);
+    }
+
+    const h1Count = page.headings.filter(level => level === 1).length;
+    if (h1Count === 0) add('missing-h1', 'Page has no <h1>');
+    if (h1Count > 1) add('multiple-h1', `Page has ${h1Count} <h1> elements`);
+
+    page.headings.forEach((level, index) => {
+      const previous = index === 0 ? 0 : page.headings[index - 1];
+      if (index > 0 && level > previous + 1) {
+        add('heading-skip', `<h${level}> follows <h${previous}> (skips h${previous + 1})`);
+      }
+    });
+
+    page.images.filter(image => !image.hasAlt).forEach(image => {
+      add('missing-alt', `<img> without alt attribute: ${image.src || '(no src)'}`);
+    });
+
+    page.malformedLinks.forEach(href => {
+      add('malformed-link', `Link with invalid URL encoding: ${href}`);
+    });
+
+    return issues;
+  }
+
+  /**
+   * Same title/description on several indexable pages of one language
+   */
+  checkDuplicates(pages, field, kind) {
+    const groups = {};
+    pages.filter(page => page[field] && !page.noindex).forEach(page => {
+      const key = `${page.language}\u0000${page[field].toLowerCase()}`;
+      (groups[key] = groups[key] || []).push(page);
+    });
+
+    const issues = [];
+    Object.values(groups).filter(group => group.length > 1).forEach(group => {
+      group.forEach(page => {
+        const others = group.filter(other => other !== page).map(other => other.relative);
+        issues.push(this.issue(page, kind, `Same ${field} as ${others.join(', ')}`));
+      });
+    });
+    return issues;
+  }
+
+  /**
+   * Pages not reachable from the site root / language home pages through navigation links
+   * Entry pages (redirect stubs) contribute all their links; other pages their <nav>/<footer> links.
+   */
+  checkReachability(pages) {
+    const byFile = new Map(pages.map(page => [page.file, page]));
+    const isEntry = page => page.redirect || page.relative === 'index.html' || /^[^/]+\/index\.html$/.test(page.relative);
+    const entries = pages.filter(isEntry);
+
+    const crawl = (linksOf) => {
+      const queue = [...entries];
+      const reached = new Set(queue.map(page => page.file));
+      while (queue.length) {
+        const page = queue.shift();
+        linksOf(page).forEach(target => {
+          if (reached.has(target) || !byFile.has(target)) return;
+          reached.add(target);
+          queue.push(byFile.get(target));
+        });
+      }
+      return reached;
+    };
+
+    const viaNavigation = crawl(page => (page.redirect ? page.links : page.navLinks));
+    const viaAnyLink = crawl(page => page.links);
+
+    return pages
+      .filter(page => !page.redirect && !viaNavigation.has(page.file))
+      .map(page => this.issue(page, 'unreachable', viaAnyLink.has(page.file)
+        ? 'Only reachable through in-page links, not site navigation (nav/footer)'
+        : 'Not linked from any page reachable from the home page'));
+  }
+
+  /**
+   * Issue record for a page
+   */
+  issue(page, kind, message) {
+    return { file: page.relative, kind, severity: SEVERITY[kind], message };
+  }
+
+  /**
+   * Render the audit result as a standalone HTML report
+   * @param {Object} report - run() result plus { projectId, generatedAt }
+   * @returns {string} - HTML
+   */
+  renderHtml(report) {
+    const esc = helpers.escapeHtml;
+    const kinds = Object.keys(SEVERITY).filter(kind => report.counts[kind]);
+    const rows = report.issues.map(issue =>
+      `      <tr class="${issue.severity}"><td>${esc(issue.file)}</td><td>${issue.severity}</td>` +
+      `<td>${esc(issue.kind)}</td><td>${esc(issue.message)}</td></tr>`
+    );
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '  <meta charset="UTF-8">',
+      '  <meta name="robots" content="noindex">',
+      `  <title>SEO Report: ${esc(report.projectId)}</title>`,
+      '  <style>',
+      '    body { font-family: system-ui, sans-serif; margin: 24px; color: #222; }',
+      '    table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }',
+      '    th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; font-size: 14px; vertical-align: top; }',
+      '    th { background: #f4f4f4; }',
+      '    tr.error td:nth-child(2) { color: #c0392b; font-weight: bold; }',
+      '    tr.warning td:nth-child(2) { color: #b9770e; }',
+      '  </style>',
+      '</head>',
+      '<body>',
+      `  <h1>SEO Report: ${esc(report.projectId)}</h1>`,
+      `  <p>Generated ${esc(report.generatedAt)}: ${report.pages} page(s), ${report.errors} error(s), ${report.warnings} warning(s)</p>`,
+      '  <h2>Summary</h2>',
+      '  <table>',
+      '    <thead><tr><th>Check</th><th>Severity</th><th>Issues</th></tr></thead>',
+      '    <tbody>',
+      ...kinds.map(kind => `      <tr class="${SEVERITY[kind]}"><td>${kind}</td><td>${SEVERITY[kind]}</td><td>${report.counts[kind]}</td></tr>`),
+      '    </tbody>',
+      '  </table>',
+      '  <h2>Issues</h2>',
+      '  <table>',
+      '    <thead><tr><th>Page</th><th>Severity</th><th>Check</th><th>Details</th></tr></thead>',
+      '    <tbody>',
+      ...(rows.length ? rows : ['      <tr><td colspan="4">No issues found</td></tr>']),
+      '    </tbody>',
+      '  </table>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = SeoAuditor;
@@ -0,0 +1,140 @@
+// ./_system/_buildr/sitemap.js
+// sitemap.xml and robots.txt generation for WebGen
+// Pages come from _menu.json, limited to the pages the build published;
+// noindex pages (page metadata.noindex) are excluded
+
+const fs = require('fs');
+const helpers = require('./helpers');
+
+/**
+ * Escape text for XML content/attributes
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class SitemapGenerator {
+  /**
+   * @param {HTMLRenderer} renderer - Initialized renderer (menu, languages)
+   * @param {Object} options - { baseUrl, changefreq }
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.baseUrl = options.baseUrl;
+    this.changefreq = options.changefreq || null;
+  }
+
+  /**
+   * Absolute URL for a page in a language
+   */
+  pageUrl(pageId, language) {
+    return helpers.resolveAbsoluteUrl(this.baseUrl, helpers.resolveLinkPath(pageId, language));
+  }
+
+  /**
+   * Priority from menu depth: home 1.0, top level 0.8, each level below -0.2 (min 0.1)
+   * Footer navigation counts one level below the primary navigation.
+   */
+  priority(pageId, depth) {
+    if (pageId === 'home') return '1.0';
+    return Math.max(0.1, 0.8 - depth * 0.2).toFixed(1);
+  }
+
+  /**
+   * Collect sitemap entries (one per published page per language, noindex pages skipped)
+   * Menu order and depth come from _menu.json; pages and their sources from the build.
+   * @param {Object} published - "<lang>/<pageId>" → { noindex, sources } (pages in the output)
+   * @returns {Array} - [{ pageId, language, loc, lastmod, priority, alternates }]
+   */
+  collectEntries(published) {
+    const { menu, languages } = this.renderer;
+    const pages = [];
+    const seen = new Set();
+    const visit = (item, depth) => {
+      if (item.id && item.srcFile && !seen.has(item.id)) {
+        seen.add(item.id);
+        pages.push({ pageId: item.id, depth });
+      }
+      (item.children || []).forEach(child => visit(child, depth + 1));
+    };
+    menu.primaryNavigation.items.forEach(item => visit(item, 0));
+    menu.footerNavigation.items.forEach(item => visit(item, 1));
+
+    const entries = [];
+    pages.forEach(({ pageId, depth }) => {
+      const indexed = languages.supported.filter(language => {
+        const page = published[`${language}/${pageId}`];
+        return page && !page.noindex;
+      });
+
+      const alternates = indexed.map(language => ({ hreflang: language, href: this.pageUrl(pageId, language) }));
+      if (indexed.includes(languages.default)) {
+        alternates.push({ hreflang: 'x-default', href: this.pageUrl(pageId, languages.default) });
+      }
+
+      indexed.forEach(language => {
+        const mtimes = published[`${language}/${pageId}`].sources
+          .filter(file => fs.existsSync(file))
+          .map(file => fs.statSync(file).mtime);
+        const lastmod = mtimes.length ? new Date(Math.max(...mtimes)) : null;
+        entries.push({
+          pageId,
+          language,
+          loc: this.pageUrl(pageId, language),
+          lastmod: lastmod && lastmod.toISOString().slice(0, 10),
+          priority: this.priority(pageId, depth),
+          alternates
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Render sitemap.xml (with xhtml:link language alternates)
+   * @param {Array} entries - collectEntries() result
+   * @returns {string} - XML
+   */
+  renderSitemap(entries) {
+    const urls = entries.map(entry => {
+      const lines = [`    <loc>${escapeXml(entry.loc)}</loc>`];
+      if (entry.lastmod) lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+      if (this.changefreq) lines.push(`    <changefreq>${escapeXml(this.changefreq)}</changefreq>`);
+      lines.push(`    <priority>${entry.priority}</priority>`);
+      if (entry.alternates.length > 1) {
+        entry.alternates.forEach(alt => {
+          lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(alt.href)}"/>`);
+        });
+      }
+      return `  <url>\n${lines.join('\n')}\n  </url>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+      ...urls,
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render robots.txt
+   * @param {boolean} disallowAll - Block all crawlers (staging)
+   * @returns {string} - robots.txt content
+   */
+  renderRobots(disallowAll) {
+    if (disallowAll) {
+      return 'User-agent: *\nDisallow: /\n';
+    }
+    return `User-agent: *\nAllow: /\n\nSitemap: ${helpers.resolveAbsoluteUrl(this.baseUrl, '/sitemap.xml')}\n`;
+  }
+}
+
+module.exports = SitemapGenerator;
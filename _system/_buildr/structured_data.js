@@ -0,0 +1,273 @@
+// ./_system/_buildr/structured_data.js
+// schema.org JSON-LD for WebGen pages
+// Organization + WebSite from site_config (contact, branding), BreadcrumbList from
+// the hub/spoke menu, FAQPage / Product from content blocks with a "schema" entry
+//
+// Content usage (block level):
+//   "schema": { "type": "faq", "items": [{ "question": "...", "answer": "..." }] }
+//   "schema": { "type": "product", "name": "...", "description": "...", "image": "x.png",
+//               "brand": "...", "sku": "...", "offers": { "price": "99", "priceCurrency": "USD" } }
+
+const helpers = require('./helpers');
+
+// Required properties per @type; a list of alternatives means "at least one of"
+const REQUIRED_FIELDS = {
+  Organization: ['name', 'url'],
+  WebSite: ['name', 'url'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+  Product: ['name', ['offers', 'review', 'aggregateRating']],
+  Offer: ['price', 'priceCurrency'],
+  ContactPoint: ['contactType']
+};
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * Drop undefined/null/empty-string properties
+ */
+function compact(node) {
+  Object.keys(node).forEach(key => {
+    if (node[key] === undefined || node[key] === null || node[key] === '') delete node[key];
+  });
+  return node;
+}
+
+/**
+ * Plain text from a content string (markdown/HTML stripped)
+ */
+function plainText(value) {
+  if (!value) return '';
+  return String(value)
+    .replace(/<[^>]+>/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class StructuredDataBuilder {
+  /**
+   * @param {HTMLRenderer} renderer - Initialized renderer (siteConfig, menu, labels)
+   * @param {Object} options - { organization, website, breadcrumbs, blocks } (all default true)
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.options = { organization: true, website: true, breadcrumbs: true, blocks: true, ...options };
+    this.issues = [];
+    this.reported = new Set();
+
+    // Collect issues without logging them (render workers; the main thread logs)
+    this.quiet = false;
+  }
+
+  /**
+   * JSON-LD for a loaded page, as a string safe to embed in <script>
+   * @param {Object} page - loadPageContent() result
+   * @returns {string} - JSON-LD ("" when there is nothing valid to emit)
+   */
+  render(page) {
+    const graph = this.buildGraph(page);
+    if (graph.length === 0) return '';
+    return JSON.stringify({ '@context': SCHEMA_CONTEXT, '@graph': graph }, null, 2)
+      .replace(/</g, '\\u003c');
+  }
+
+  /**
+   * Collect the valid nodes for a page (invalid nodes are reported and skipped)
+   * @param {Object} page - loadPageContent() result
+   * @returns {Array} - schema.org nodes
+   */
+  buildGraph(page) {
+    const { pageId, language } = page;
+    const candidates = [];
+
+    if (this.options.organization) candidates.push(['site', this.organization()]);
+    if (this.options.website) candidates.push(['site', this.website(language)]);
+    if (this.options.breadcrumbs) candidates.push([pageId, this.breadcrumbs(pageId)]);
+    if (this.options.blocks) {
+      Object.keys(page.blocks || {}).forEach(blockId => {
+        candidates.push([`${pageId} block '${blockId}'`, this.blockNode(page.blocks[blockId], blockId, pageId)]);
+      });
+    }
+
+    return candidates
+      .filter(([, node]) => node)
+      .filter(([where, node]) => this.validate(node, where, language, pageId))
+      .map(([, node]) => node);
+  }
+
+  /**
+   * Organization from site_config contact + branding
+   */
+  organization() {
+    const { branding = {}, contact = {} } = this.renderer.siteConfig;
+    const logo = branding.logo && (branding.logo.standard_logo || branding.logo.regular || Object.values(branding.logo)[0]);
+    const contactPoint = (contact.phone || contact.email) ? compact({
+      '@type': 'ContactPoint',
+      contactType: contact.contactType || 'customer service',
+      telephone: contact.phone,
+      email: contact.email
+    }) : null;
+
+    return compact({
+      '@type': 'Organization',
+      '@id': this.siteUrl('#organization'),
+      name: contact.companyName || branding.siteName,
+      url: this.siteUrl(),
+      logo: logo && this.absolute(logo),
+      address: contact.address,
+      telephone: contact.phone,
+      email: contact.email,
+      contactPoint,
+      sameAs: Array.isArray(contact.sameAs) && contact.sameAs.length ? contact.sameAs : null
+    });
+  }
+
+  /**
+   * WebSite (publisher → Organization)
+   */
+  website(language) {
+    const { branding = {} } = this.renderer.siteConfig;
+    return compact({
+      '@type': 'WebSite',
+      '@id': this.siteUrl('#website'),
+      name: branding.siteName,
+      description: branding.tagLine,
+      url: this.siteUrl(),
+      inLanguage: language,
+      publisher: this.options.organization ? { '@id': this.siteUrl('#organization') } : null
+    });
+  }
+
+  /**
+   * BreadcrumbList from the menu trail (home → hub → spoke); none for home/unlisted pages
+   */
+  breadcrumbs(pageId) {
+    const renderer = this.renderer;
+    const trail = renderer.findMenuTrail(pageId).filter(item => item.id !== 'home');
+    if (trail.length === 0) return null;
+
+    const config = renderer.menu.breadcrumbConfig || {};
+    const crumbs = [{ name: renderer.localize(config.homeLabel) || 'Home', id: 'home' }]
+      .concat(trail.map(item => ({ name: renderer.menuLabel(item), id: item.srcFile ? item.id : null })));
+
+    return {
+      '@type': 'BreadcrumbList',
+      itemListElement: crumbs.map((crumb, index) => compact({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: crumb.name,
+        item: crumb.id ? renderer.absoluteUrl(renderer.linkPath(crumb.id)) : null
+      }))
+    };
+  }
+
+  /**
+   * FAQPage / Product node from a content block's "schema" entry
+   */
+  blockNode(block, blockId, pageId) {
+    const schema = block && block.schema;
+    if (!schema) return null;
+
+    const markdown = { ...(this.renderer.projectConfig.markdown || {}), language: this.renderer.language };
+    switch (String(schema.type || '').toLowerCase()) {
+      case 'faq':
+        return {
+          '@type': 'FAQPage',
+          mainEntity: (schema.items || []).map(item => compact({
+            '@type': 'Question',
+            name: plainText(item.question),
+            acceptedAnswer: item.answer ? { '@type': 'Answer', text: helpers.markdownToHtml(item.answer, markdown) } : null
+          }))
+        };
+      case 'product':
+        return compact({
+          '@type': 'Product',
+          name: schema.name,
+          description: plainText(schema.description),
+          image: schema.image && this.absolute(helpers.resolveMediaPath(schema.image, this.renderer.mediaBasePath, this.renderer.mediaFallbackPath)),
+          sku: schema.sku,
+          brand: schema.brand ? { '@type': 'Brand', name: schema.brand } : null,
+          offers: schema.offers ? compact({
+            '@type': 'Offer',
+            price: schema.offers.price !== undefined ? String(schema.offers.price) : null,
+            priceCurrency: schema.offers.priceCurrency,
+            availability: schema.offers.availability && `${SCHEMA_CONTEXT}/${schema.offers.availability}`,
+            url: schema.offers.url
+          }) : null,
+          aggregateRating: schema.aggregateRating ? { '@type': 'AggregateRating', ...schema.aggregateRating } : null
+        });
+      default:
+        this.report(pageId, `${pageId} block '${blockId}'`, `unknown schema type '${schema.type}' (expected: faq, product)`);
+        return null;
+    }
+  }
+
+  /**
+   * Check required properties of a node and its typed children
+   * @returns {boolean} - Whether the node is valid (problems are reported)
+   */
+  validate(node, where, language, pageId) {
+    const missing = this.missingFields(node, node['@type']);
+    missing.forEach(field => this.report(pageId, where, `${node['@type']} missing required '${field}'`, language));
+    return missing.length === 0;
+  }
+
+  /**
+   * Required field paths missing from a node (recurses into nested typed nodes)
+   */
+  missingFields(node, label) {
+    const missing = [];
+    (REQUIRED_FIELDS[node['@type']] || []).forEach(field => {
+      const options = Array.isArray(field) ? field : [field];
+      const present = options.some(name => {
+        const value = node[name];
+        return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '';
+      });
+      if (!present) missing.push(`${label}.${options.join('|')}`);
+    });
+
+    Object.keys(node).forEach(key => {
+      const values = Array.isArray(node[key]) ? node[key] : [node[key]];
+      values.forEach((value, index) => {
+        if (value && typeof value === 'object' && value['@type']) {
+          const path = Array.isArray(node[key]) ? `${label}.${key}[${index}]` : `${label}.${key}`;
+          missing.push(...this.missingFields(value, path));
+        }
+      });
+    });
+    return missing;
+  }
+
+  /**
+   * Record and log a problem once (site-wide nodes repeat on every page)
+   */
+  report(pageId, where, message, language = this.renderer.language) {
+    const key = `${where}: ${message}`;
+    if (this.reported.has(key)) return;
+    this.reported.add(key);
+    this.issues.push({ pageId, language, where, message });
+    if (this.quiet) return;
+    console.warn(`[StructuredData:${this.renderer.projectConfig.projectName}] ⚠ ${where}: ${message} (skipped)`);
+  }
+
+  /**
+   * Absolute URL for a root-relative path (full URLs unchanged)
+   */
+  absolute(url) {
+    return /^https?:\/\//.test(url) ? url : this.renderer.absoluteUrl(url);
+  }
+
+  /**
+   * Absolute site root URL (optionally with a fragment for @id)
+   */
+  siteUrl(fragment = '') {
+    return this.renderer.absoluteUrl(`/${fragment}`);
+  }
+}
+
+module.exports = StructuredDataBuilder;
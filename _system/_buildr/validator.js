@@ -0,0 +1,518 @@
+// ./_system/_buildr/validator.js
+// Content & Page JSON Validation for WebGen
+// Checks src/<lang>/hubXX/*_page.json and *_content.json against build_config.json
+
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+const ElementRegistry = require('./element_registry');
+
+// Page fields that may be satisfied by an equivalent field
+const FIELD_ALIASES = {
+  contentSource: 'contentSources'
+};
+
+const MEDIA_SIDES = ['left', 'right'];
+
+/**
+ * Format JSON path segments for display
+ * @param {Array} segments - Path segments (e.g. ['blocks', 'intro', 'elements', 2])
+ * @returns {string} - e.g. blocks.intro.elements[2] (or "(root)")
+ */
+function formatJsonPath(segments) {
+  if (!segments || segments.length === 0) return '(root)';
+  return segments.reduce((out, seg) => {
+    if (typeof seg === 'number') return `${out}[${seg}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(seg)) return out ? `${out}.${seg}` : seg;
+    return `${out}[${JSON.stringify(seg)}]`;
+  }, '');
+}
+
+/**
+ * Convert a character offset into 1-based line/column
+ * @param {string} source - JSON source text
+ * @param {number} offset - Character offset
+ * @returns {Object} - { line, column }
+ */
+function offsetToLineColumn(source, offset) {
+  const before = source.slice(0, Math.max(0, Math.min(offset, source.length)));
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Locate a JSON path in the source text
+ * Returns the position of the deepest segment found (the key for object
+ * members), so missing fields point at their parent object.
+ * @param {string} source - JSON source text (must parse)
+ * @param {Array} segments - Path segments
+ * @returns {Object} - { line, column }
+ */
+function locateJsonPath(source, segments) {
+  let pos = 0;
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+  const skipString = () => {
+    pos++;
+    while (pos < source.length && source[pos] !== '"') {
+      if (source[pos] === '\\') pos++;
+      pos++;
+    }
+    pos++;
+  };
+  const skipValue = () => {
+    skipWhitespace();
+    const ch = source[pos];
+    if (ch === '"') return skipString();
+    if (ch === '{' || ch === '[') {
+      let depth = 0;
+      do {
+        const c = source[pos];
+        if (c === '"') { skipString(); continue; }
+        if (c === '{' || c === '[') depth++;
+        if (c === '}' || c === ']') depth--;
+        pos++;
+      } while (depth > 0 && pos < source.length);
+      return;
+    }
+    while (pos < source.length && !/[,\]}\s]/.test(source[pos])) pos++;
+  };
+
+  skipWhitespace();
+  let best = pos;
+
+  for (const segment of segments) {
+    skipWhitespace();
+    let matched = false;
+
+    if (source[pos] === '{' && typeof segment === 'string') {
+      pos++;
+      for (;;) {
+        skipWhitespace();
+        if (source[pos] !== '"') break;
+        const keyStart = pos;
+        skipString();
+        const key = JSON.parse(source.slice(keyStart, pos));
+        skipWhitespace();
+        pos++; // ':'
+        skipWhitespace();
+        if (key === segment) { best = keyStart; matched = true; break; }
+        skipValue();
+        skipWhitespace();
+        if (source[pos] !== ',') break;
+        pos++;
+      }
+    } else if (source[pos] === '[' && typeof segment === 'number') {
+      pos++;
+      for (let index = 0; ; index++) {
+        skipWhitespace();
+        if (source[pos] === ']') break;
+        if (index === segment) { best = pos; matched = true; break; }
+        skipValue();
+        skipWhitespace();
+        if (source[pos] !== ',') break;
+        pos++;
+      }
+    }
+
+    if (!matched) break;
+  }
+
+  return offsetToLineColumn(source, best);
+}
+
+class ContentValidator {
+  /**
+   * @param {Object} paths - Builder paths (src, site)
+   * @param {Object} projectConfig - Project configuration (languages)
+   * @param {Object} buildConfig - build_config.json (validation, elementTypes, rendering)
+   * @param {ElementRegistry} elements - Element types incl. plugins (default: built-ins)
+   */
+  constructor(paths, projectConfig, buildConfig, elements = null) {
+    this.paths = paths;
+    this.projectConfig = projectConfig;
+    this.buildConfig = buildConfig;
+    this.elements = elements || new ElementRegistry(buildConfig.elementTypes);
+    this.elementConfig = { elementTypes: this.elements.schemas() };
+
+    const languages = projectConfig.languages || {};
+    this.defaultLanguage = languages.default || 'en';
+    this.fallbackLanguage = languages.fallback || this.defaultLanguage;
+    this.languages = languages.supported || [this.defaultLanguage];
+
+    const templates = helpers.loadJSON(path.join(paths.site, '_page-templates.json'));
+    this.pageTemplates = (templates && templates.pageTemplates) || {};
+    const navigation = helpers.loadJSON(path.join(paths.site, '_navigation-layouts.json'));
+    this.navigationLayouts = (navigation && navigation.navigationLayouts) || {};
+
+    this.issues = [];
+  }
+
+  /**
+   * Validate _menu.json and every page/content file for all supported languages
+   * @returns {Object} - { errors: [], warnings: [], filesChecked }
+   */
+  validateProject() {
+    this.issues = [];
+    const files = this.listSourceFiles();
+    const contentIndex = this.buildContentIndex(files);
+
+    this.validateFile(this.menuPath(), contentIndex);
+    files.forEach(file => this.validateFile(file.path, contentIndex));
+
+    return this.summarize(files.length + 1);
+  }
+
+  /**
+   * Validate a single file (_menu.json, page or content)
+   * Section references are still resolved against every content file
+   * @param {string} filePath - Path to _menu.json, *_page.json or *_content.json
+   * @returns {Object} - { errors: [], warnings: [], filesChecked }
+   */
+  validateSingleFile(filePath) {
+    this.issues = [];
+    this.validateFile(filePath, this.buildContentIndex(this.listSourceFiles()));
+    return this.summarize(1);
+  }
+
+  /**
+   * Path to the project's _menu.json
+   */
+  menuPath() {
+    return path.join(this.paths.site, '_menu.json');
+  }
+
+  /**
+   * Split collected issues by severity
+   * @param {number} filesChecked - Number of files validated
+   * @returns {Object} - { errors, warnings, filesChecked }
+   */
+  summarize(filesChecked) {
+    return {
+      errors: this.issues.filter(issue => issue.severity === 'error'),
+      warnings: this.issues.filter(issue => issue.severity === 'warning'),
+      filesChecked
+    };
+  }
+
+  /**
+   * Record a validation issue
+   * @param {string} severity - "error" or "warning"
+   * @param {string} file - File path
+   * @param {Array} segments - JSON path segments
+   * @param {string} message - Description
+   */
+  report(severity, file, segments, message) {
+    this.issues.push({
+      severity,
+      file: path.relative(process.cwd(), file),
+      path: formatJsonPath(segments),
+      segments,
+      message,
+      line: 1,
+      column: 1
+    });
+  }
+
+  /**
+   * List src/<lang>/<hub>/*.json files for all supported languages
+   * @returns {Array} - [{ path, language, kind: "page"|"content", id }]
+   */
+  listSourceFiles() {
+    const files = [];
+
+    this.languages.forEach(language => {
+      const langPath = path.join(this.paths.src, language);
+      if (!fs.existsSync(langPath)) return;
+
+      fs.readdirSync(langPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(hub => {
+          fs.readdirSync(path.join(langPath, hub.name))
+            .filter(name => name.endsWith('_page.json') || name.endsWith('_content.json'))
+            .sort()
+            .forEach(name => files.push({
+              path: path.join(langPath, hub.name, name),
+              language,
+              kind: name.endsWith('_page.json') ? 'page' : 'content',
+              id: path.basename(name, '.json')
+            }));
+        });
+    });
+
+    return files;
+  }
+
+  /**
+   * Index content block ids by language and content id
+   * @param {Array} files - Source files from listSourceFiles()
+   * @returns {Object} - { lang: { contentId: Set(blockIds) | null } } (null: file does not parse)
+   */
+  buildContentIndex(files) {
+    const index = {};
+
+    files.filter(file => file.kind === 'content').forEach(file => {
+      const data = this.readJSON(file.path);
+      if (!index[file.language]) index[file.language] = {};
+      if (data === null) {
+        index[file.language][file.id] = null;
+        return;
+      }
+      const blocks = data.blocks && typeof data.blocks === 'object' ? Object.keys(data.blocks) : [];
+      index[file.language][file.id] = new Set(blocks);
+    });
+
+    return index;
+  }
+
+  /**
+   * Read JSON without throwing (parse errors are reported by validateFile)
+   */
+  readJSON(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate one file, dispatching on its suffix
+   * @param {string} filePath - File path
+   * @param {Object} contentIndex - Content index from buildContentIndex()
+   */
+  validateFile(filePath, contentIndex) {
+    if (!fs.existsSync(filePath)) {
+      this.report('error', filePath, [], 'File not found');
+      return;
+    }
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      this.report('error', filePath, [], `Invalid JSON: ${error.message}`);
+      const position = error.message.match(/at position (\d+)/);
+      if (position) Object.assign(this.issues[this.issues.length - 1], offsetToLineColumn(source, Number(position[1])));
+      return;
+    }
+
+    const firstIssue = this.issues.length;
+    const language = path.basename(path.dirname(path.dirname(filePath)));
+
+    if (path.basename(filePath) === '_menu.json') {
+      this.validateMenu(data, filePath);
+    } else if (filePath.endsWith('_page.json')) {
+      this.validatePage(data, filePath, language, contentIndex);
+    } else if (filePath.endsWith('_content.json')) {
+      this.validateContent(data, filePath, language);
+    } else {
+      this.report('warning', filePath, [], 'Not a _menu.json, *_page.json or *_content.json file; skipped');
+    }
+
+    // Map JSON paths back to source line/column
+    this.issues.slice(firstIssue).forEach(issue => {
+      Object.assign(issue, locateJsonPath(source, issue.segments));
+    });
+  }
+
+  /**
+   * Validate _menu.json: required item fields, unique ids, page files, secondary nav layouts
+   */
+  validateMenu(data, filePath) {
+    const seen = {};
+
+    const checkItem = (item, segments) => {
+      ['id', 'label', 'srcFile'].forEach(field => {
+        if (!item[field]) this.report('error', filePath, [...segments, field], `Menu item missing required field "${field}"`);
+      });
+
+      if (item.id) {
+        if (seen[item.id]) {
+          this.report('error', filePath, [...segments, 'id'], `Duplicate menu id "${item.id}" (first at ${seen[item.id]})`);
+        } else {
+          seen[item.id] = formatJsonPath(segments);
+        }
+      }
+
+      if (item.srcFile) {
+        const [hub, pageId] = item.srcFile.split('/');
+        const pagePath = path.join(this.paths.src, this.defaultLanguage, hub, `${pageId}_page.json`);
+        if (!pageId || !fs.existsSync(pagePath)) {
+          this.report('error', filePath, [...segments, 'srcFile'],
+            `Page file not found: ${path.relative(process.cwd(), pagePath)}`);
+        }
+      }
+
+      const navLayout = item.secondaryNav && item.secondaryNav.layout;
+      if (navLayout && navLayout !== 'none' && !this.navigationLayouts[navLayout]) {
+        this.report('error', filePath, [...segments, 'secondaryNav', 'layout'], `Unknown navigation layout "${navLayout}"`);
+      }
+
+      (item.children || []).forEach((child, index) => checkItem(child, [...segments, 'children', index]));
+    };
+
+    ['primaryNavigation', 'footerNavigation'].forEach(section => {
+      const items = data[section] && data[section].items;
+      if (!Array.isArray(items)) {
+        this.report('error', filePath, [section], `Missing "${section}.items" array`);
+        return;
+      }
+      items.forEach((item, index) => checkItem(item, [section, 'items', index]));
+    });
+  }
+
+  /**
+   * Check validation.requiredFields for a file kind
+   */
+  checkRequiredFields(data, filePath, kind) {
+    const required = (this.buildConfig.validation.requiredFields || {})[kind] || [];
+
+    required.forEach(field => {
+      const alias = FIELD_ALIASES[field];
+      if (data[field] !== undefined || (alias && data[alias] !== undefined)) return;
+      this.report('error', filePath, [field], `Missing required field "${field}"${alias ? ` (or "${alias}")` : ''}`);
+    });
+  }
+
+  /**
+   * Validate a *_content.json file
+   */
+  validateContent(data, filePath, language) {
+    this.checkRequiredFields(data, filePath, 'content');
+
+    if (data.language && data.language !== language) {
+      this.report('warning', filePath, ['language'], `Declared language "${data.language}" but file is under src/${language}/`);
+    }
+
+    if (!data.blocks || typeof data.blocks !== 'object' || Array.isArray(data.blocks)) {
+      if (data.blocks !== undefined) this.report('error', filePath, ['blocks'], '"blocks" must be an object keyed by block id');
+      return;
+    }
+
+    Object.keys(data.blocks).forEach(blockId => {
+      const block = data.blocks[blockId];
+      const segments = ['blocks', blockId];
+
+      if (!block || typeof block !== 'object') {
+        this.report('error', filePath, segments, 'Block must be an object');
+        return;
+      }
+      if (!['elements', 'panels', 'columns'].some(key => Array.isArray(block[key]))) {
+        this.report('error', filePath, segments, 'Block has no "elements", "panels" or "columns" array');
+        return;
+      }
+
+      this.validateContainer(block, filePath, segments);
+    });
+  }
+
+  /**
+   * Walk a block (or panel/column) validating every "elements" entry
+   * Element internals (e.g. form fields) are left to validateElement
+   */
+  validateContainer(container, filePath, segments) {
+    Object.keys(container).forEach(key => {
+      const value = container[key];
+      if (!Array.isArray(value)) return;
+
+      value.forEach((item, index) => {
+        const itemSegments = [...segments, key, index];
+        if (key === 'elements') {
+          const result = helpers.validateElement(this.elements.withDefaults(item), this.elementConfig);
+          result.errors.forEach(error => {
+            this.report('error', filePath, error.field ? [...itemSegments, error.field] : itemSegments, error.message);
+          });
+        } else if (item && typeof item === 'object') {
+          this.validateContainer(item, filePath, itemSegments);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate a *_page.json file
+   */
+  validatePage(data, filePath, language, contentIndex) {
+    this.checkRequiredFields(data, filePath, 'page');
+
+    if (data.pageTemplate && !this.pageTemplates[data.pageTemplate]) {
+      this.report('error', filePath, ['pageTemplate'], `Unknown page template "${data.pageTemplate}"`);
+    }
+
+    // Resolve content sources (translation + fallback language blocks)
+    const sourcesKey = data.contentSources ? 'contentSources' : 'contentSource';
+    const sources = data.contentSources || (data.contentSource ? [data.contentSource] : []);
+    const availableBlocks = new Set();
+    // Block references can't be checked against a content file that does not parse;
+    // its parse error is reported on the content file itself
+    let unreadableSource = false;
+
+    sources.forEach((sourceId, index) => {
+      const segments = sourcesKey === 'contentSources' ? [sourcesKey, index] : [sourcesKey];
+      const own = (contentIndex[language] || {})[sourceId];
+      const fallback = (contentIndex[this.fallbackLanguage] || {})[sourceId];
+
+      if (own === undefined && fallback === undefined) {
+        this.report('error', filePath, segments, `Content source "${sourceId}" not found`);
+        return;
+      }
+      [own, fallback].forEach(blocks => {
+        if (blocks === null) unreadableSource = true;
+        else if (blocks) blocks.forEach(blockId => availableBlocks.add(blockId));
+      });
+    });
+
+    if (data.sections === undefined) return;
+    if (!Array.isArray(data.sections)) {
+      this.report('error', filePath, ['sections'], '"sections" must be an array');
+      return;
+    }
+
+    const rendering = this.buildConfig.rendering || {};
+
+    data.sections.forEach((section, index) => {
+      const segments = ['sections', index];
+
+      if (!section.contentBlock) {
+        this.report('error', filePath, [...segments, 'contentBlock'], 'Section missing required field "contentBlock"');
+      } else if (!unreadableSource && !availableBlocks.has(section.contentBlock)) {
+        this.report('error', filePath, [...segments, 'contentBlock'],
+          `Content block "${section.contentBlock}" not found in ${sources.join(', ') || 'any content source'}`);
+      }
+
+      if (!section.layout) {
+        this.report('error', filePath, [...segments, 'layout'], 'Section missing required field "layout"');
+      }
+
+      if (section.source && !sources.includes(section.source)) {
+        this.report('error', filePath, [...segments, 'source'], `Source "${section.source}" is not listed in ${sourcesKey}`);
+      }
+
+      const settings = section.settings || {};
+      if (settings.split !== undefined && rendering.supportedSplits && !rendering.supportedSplits.includes(settings.split)) {
+        this.report('error', filePath, [...segments, 'settings', 'split'],
+          `Unsupported split "${settings.split}" (supported: ${rendering.supportedSplits.join(', ')})`);
+      }
+      if (settings.columns !== undefined && rendering.supportedColumns && !rendering.supportedColumns.includes(settings.columns)) {
+        this.report('error', filePath, [...segments, 'settings', 'columns'],
+          `Unsupported columns ${settings.columns} (supported: ${rendering.supportedColumns.join(', ')})`);
+      }
+      if (settings.defaultPosition !== undefined && rendering.supportedPositions &&
+          !rendering.supportedPositions.includes(settings.defaultPosition)) {
+        this.report('error', filePath, [...segments, 'settings', 'defaultPosition'],
+          `Unsupported defaultPosition "${settings.defaultPosition}" (supported: ${rendering.supportedPositions.join(', ')})`);
+      }
+      if (settings.mediaSide !== undefined && !MEDIA_SIDES.includes(settings.mediaSide)) {
+        this.report('error', filePath, [...segments, 'settings', 'mediaSide'],
+          `Unsupported mediaSide "${settings.mediaSide}" (supported: ${MEDIA_SIDES.join(', ')})`);
+      }
+    });
+  }
+}
+
+module.exports = ContentValidator;
+module.exports.formatJsonPath = formatJsonPath;
+module.exports.locateJsonPath = locateJsonPath;
@@ -111,7 +111,11 @@ class WebGenWatcher {
       `${this.systemConfig.paths.templatesRoot}${templateVersion}/**/*.hbs`,
       
       // Project styles
-      `${projectBase}${this.projectConfig.paths.styles}**/*.css`
+      `${projectBase}${this.projectConfig.paths.styles}**/*.css`,
+      
+      // Project assets (images, fonts, ...) and scripts
+      `${projectBase}${this.projectConfig.paths.assets}**/*`,
+      `${projectBase}${this.projectConfig.paths.scripts}**/*.js`
     ];
     
     return patterns;
@@ -167,9 +171,11 @@ class WebGenWatcher {
       }
     });
     
-    // Handle changes
-    watcher.on('change', (filepath) => {
-      this.handleChange(filepath);
+    // Handle changes (new and deleted files affect pages too)
+    ['add', 'change', 'unlink'].forEach(event => {
+      watcher.on(event, (filepath) => {
+        this.handleChange(filepath);
+      });
     });
     
     console.log(`[Watcher:${projectName}] Watching for changes\n`);
@@ -190,7 +196,7 @@ class WebGenWatcher {
     console.log(`\n[${this.timestamp()}] [Watcher:${projectName}] File changed: ${filename}`);
     
     // Add to queue
-    this.buildQueue.push(filepath);
+    if (!this.buildQueue.includes(filepath)) this.buildQueue.push(filepath);
     
     // Debounce (wait for more changes)
     const debounceMs = this.systemConfig.watch?.debounceMs || 500;
@@ -220,11 +226,13 @@ class WebGenWatcher {
     
     try {
       // Trigger build with project context
-      // Generator.js will determine rebuild scope automatically
-      console.log(`[Watcher:${projectName}] → Triggering build`);
-      console.log(`[Watcher:${projectName}] → Running: npm run build -- --project=${this.projectId}\n`);
+      // Generator.js rebuilds only the pages depending on the changed files
+      const fileArgs = files.map(file => `--file=${JSON.stringify(file)}`).join(' ');
+      const command = `npm run build -- --project=${this.projectId} ${fileArgs}`;
+      console.log(`[Watcher:${projectName}] → Triggering build (${files.length} changed file(s))`);
+      console.log(`[Watcher:${projectName}] → Running: ${command}\n`);
       
-      await this.runCommand(`npm run build -- --project=${this.projectId}`);
+      await this.runCommand(command);
       
       // Refresh browser
       browserSync.reload();
@@ -0,0 +1,32 @@
+// ./_system/_shared/plugins/quote.js
+// Shared element plugin: "quote" (testimonial / pull quote)
+// Registered in build_config.json "plugins"; see _buildr/element_registry.js
+//
+// Content usage:
+//   { "type": "quote", "content": "Great product.", "author": "Jane Doe", "role": "CEO, Acme" }
+
+module.exports = {
+  elements: {
+    quote: {
+      schema: {
+        supportedStyles: ['default', 'highlight'],
+        requiredFields: ['content'],
+        optionalFields: ['author', 'role', 'style', 'position']
+      },
+      defaults: {
+        style: 'default'
+      },
+      render(element, { helpers, markdown }) {
+        const cite = element.author
+          ? `<footer class="quote-author">${helpers.escapeHtml(element.author)}` +
+            (element.role ? `<span class="quote-role">, ${helpers.escapeHtml(element.role)}</span>` : '') +
+            `</footer>`
+          : '';
+        // Multi-block markdown (lists, several paragraphs) brings its own tags
+        const { html, block } = helpers.convertMarkdown(element.content || '', markdown);
+        return `<blockquote class="quote quote-${helpers.escapeHtml(element.style)}">` +
+          `${block ? html : `<p>${html}</p>`}${cite}</blockquote>`;
+      }
+    }
+  }
+};
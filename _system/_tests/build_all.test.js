@@ -0,0 +1,120 @@
+// ./_system/_tests/build_all.test.js
+// MultiProjectBuilder: schedule resolution and concurrent builds (stubbed runner, nothing built)
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const MultiProjectBuilder = require('../_buildr/build_all');
+
+const PROJECTS = ['alpha', 'beta', 'gamma', 'delta', 'epsilon'].map(projectId => ({ projectId, projectName: projectId }));
+
+/**
+ * Builder whose buildProject() resolves after a per-project delay instead of building
+ * @param {Object} options - CLI options
+ * @param {Object} runs - { projectId: { delay, fail } }
+ */
+function createBuilder(options = {}, runs = {}) {
+  const builder = new MultiProjectBuilder(options);
+  builder.started = [];
+  builder.running = 0;
+  builder.maxRunning = 0;
+
+  builder.buildProject = async project => {
+    const { delay = 5, fail = false } = runs[project.projectId] || {};
+    builder.started.push(project.projectId);
+    builder.running++;
+    builder.maxRunning = Math.max(builder.maxRunning, builder.running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    builder.running--;
+    return { projectId: project.projectId, status: fail ? 'failed' : 'success', time: '0.0', ...(fail && { error: `${project.projectId} broke` }) };
+  };
+  return builder;
+}
+
+describe('resolveSchedule', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = console.warn;
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+  });
+
+  const schedule = (options, build = {}) => {
+    const builder = new MultiProjectBuilder(options);
+    builder.systemConfig = { build };
+    return builder.resolveSchedule();
+  };
+
+  it('builds sequentially in-process unless parallel mode is configured', () => {
+    assert.deepEqual(schedule({}), { mode: 'sequential', concurrency: 1, output: 'prefixed', runner: 'in-process' });
+    assert.equal(schedule({}, { maxConcurrentBuilds: 4 }).mode, 'sequential');
+  });
+
+  it('runs up to maxConcurrentBuilds spawned builds in parallel mode', () => {
+    assert.deepEqual(schedule({}, { multiProjectBuildMode: 'parallel', maxConcurrentBuilds: 3, parallelOutput: 'buffered' }),
+      { mode: 'parallel', concurrency: 3, output: 'buffered', runner: 'spawn' });
+  });
+
+  it('lets --concurrency override system_config', () => {
+    assert.equal(schedule({ concurrency: '2' }).concurrency, 2);
+    assert.equal(schedule({ concurrency: '1' }, { multiProjectBuildMode: 'parallel', maxConcurrentBuilds: 4 }).mode, 'sequential');
+    assert.equal(schedule({ concurrency: '-3' }).concurrency, 1);
+  });
+
+  it('falls back to defaults for unknown output modes and runners', () => {
+    const { output, runner } = schedule({ output: 'loud', runner: 'docker' });
+    assert.deepEqual([output, runner], ['prefixed', 'in-process']);
+  });
+});
+
+describe('buildProjects', () => {
+  let log;
+  let error;
+
+  beforeEach(() => {
+    ({ log, error } = console);
+    console.log = console.error = () => {};
+  });
+
+  afterEach(() => {
+    Object.assign(console, { log, error });
+  });
+
+  const parallel = concurrency => ({ mode: 'parallel', concurrency, output: 'prefixed', runner: 'spawn' });
+
+  it('never runs more builds than the concurrency limit', async () => {
+    const builder = createBuilder();
+    await builder.buildProjects(PROJECTS, parallel(2));
+    assert.equal(builder.maxRunning, 2);
+    assert.equal(builder.results.length, PROJECTS.length);
+
+    const sequential = createBuilder();
+    await sequential.buildProjects(PROJECTS, { mode: 'sequential', concurrency: 1 });
+    assert.equal(sequential.maxRunning, 1);
+  });
+
+  it('keeps results in project order, whatever order builds finish in', async () => {
+    const builder = createBuilder({}, { alpha: { delay: 40 }, beta: { delay: 25 }, gamma: { delay: 1 } });
+    await builder.buildProjects(PROJECTS, parallel(3));
+    assert.deepEqual(builder.results.map(result => result.projectId), PROJECTS.map(project => project.projectId));
+  });
+
+  it('continues after a failure without --stop-on-error', async () => {
+    const builder = createBuilder({}, { beta: { fail: true } });
+    await builder.buildProjects(PROJECTS, parallel(2));
+    assert.deepEqual(builder.results.map(result => result.status), ['success', 'failed', 'success', 'success', 'success']);
+  });
+
+  it('with --stop-on-error starts no new builds but lets running builds finish', async () => {
+    const builder = createBuilder({ stopOnError: true }, { alpha: { delay: 30 }, beta: { delay: 1, fail: true } });
+    await assert.rejects(builder.buildProjects(PROJECTS, parallel(2)), { message: 'beta broke' });
+
+    // beta fails while alpha is still running: alpha finishes, gamma never starts
+    assert.deepEqual(builder.started, ['alpha', 'beta']);
+    assert.equal(builder.running, 0);
+    assert.deepEqual(builder.results.map(result => [result.projectId, result.status]), [['alpha', 'success'], ['beta', 'failed']]);
+  });
+});
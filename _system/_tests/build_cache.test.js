@@ -0,0 +1,118 @@
+// ./_system/_tests/build_cache.test.js
+// BuildCache: up-to-date checks, reuse of the previous build's output, stale outputs
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BuildCache = require('../_buildr/build_cache');
+
+describe('BuildCache', () => {
+  let dir;
+  let manifest;
+  let previousOutput;
+  let page;
+  let template;
+  let asset;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  /**
+   * Run a "build" into outputRoot: record one page and one asset, then save
+   */
+  const build = outputRoot => {
+    const cache = new BuildCache(manifest);
+    write(path.join(outputRoot, 'en/index.html'), '<html></html>');
+    cache.recordPage(path.join('en', 'index.html'), {
+      pageId: 'home', language: 'en', builder: 'b1', inputs: [page, template], assets: []
+    });
+    write(path.join(outputRoot, 'assets/logo.svg'), '<svg/>');
+    cache.assetIsCurrent(outputRoot, path.join('assets', 'logo.svg'), asset);
+    cache.save(outputRoot);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webgen-cache-'));
+    manifest = path.join(dir, 'output', '.build-cache.json');
+    previousOutput = path.join(dir, 'output', 'build-1');
+    page = path.join(dir, 'src', 'home_page.json');
+    template = path.join(dir, 'templates', 'hero.hbs');
+    asset = path.join(dir, 'assets', 'logo.svg');
+    write(page, '{"pageId":"home"}');
+    write(template, '<section>{{title}}</section>');
+    write(asset, '<svg/>');
+    build(previousOutput);
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('treats a page with unchanged inputs as current', () => {
+    const cache = new BuildCache(manifest);
+    assert.equal(cache.isCurrent(previousOutput, path.join('en', 'index.html'), [page], 'b1'), true);
+  });
+
+  it('re-renders when an input, the builder hash or the source list changes', () => {
+    const output = path.join('en', 'index.html');
+    assert.equal(new BuildCache(manifest).isCurrent(previousOutput, output, [page], 'b2'), false);
+    assert.equal(new BuildCache(manifest).isCurrent(previousOutput, output, [page, path.join(dir, 'src', 'new_content.json')], 'b1'), false);
+
+    write(template, '<section>{{heading}}</section>');
+    assert.equal(new BuildCache(manifest).isCurrent(previousOutput, output, [page], 'b1'), false);
+  });
+
+  it('ignores the previous manifest for full rebuilds', () => {
+    const cache = new BuildCache(manifest, { ignorePrevious: true });
+    assert.equal(cache.isCurrent(previousOutput, path.join('en', 'index.html'), [page], 'b1'), false);
+  });
+
+  it('reuses unchanged outputs of the previous build in a new output directory', () => {
+    const outputRoot = path.join(dir, 'output', 'build-2');
+    const cache = new BuildCache(manifest);
+    const output = path.join('en', 'index.html');
+
+    assert.equal(cache.isCurrent(outputRoot, output, [page], 'b1'), true);
+    cache.keepPage(outputRoot, output);
+    assert.equal(cache.assetIsCurrent(outputRoot, path.join('assets', 'logo.svg'), asset), true);
+
+    const reused = fs.statSync(path.join(outputRoot, output));
+    assert.equal(reused.ino, fs.statSync(path.join(previousOutput, output)).ino);
+    assert.equal(fs.readFileSync(path.join(outputRoot, 'assets', 'logo.svg'), 'utf8'), '<svg/>');
+  });
+
+  it('does not carry anything else over from the previous build', () => {
+    write(path.join(previousOutput, 'en', 'removed.html'), 'old');
+    write(path.join(previousOutput, '_reports', 'build-report.json'), '{}');
+    const outputRoot = path.join(dir, 'output', 'build-2');
+    const cache = new BuildCache(manifest);
+    cache.keepPage(outputRoot, path.join('en', 'index.html'));
+
+    assert.equal(fs.existsSync(path.join(outputRoot, 'en', 'removed.html')), false);
+    assert.equal(fs.existsSync(path.join(outputRoot, '_reports')), false);
+  });
+
+  it('reports a changed asset as not current', () => {
+    const future = new Date(Date.now() + 60000);
+    write(asset, '<svg width="1"/>');
+    fs.utimesSync(asset, future, future);
+    assert.equal(new BuildCache(manifest).assetIsCurrent(previousOutput, path.join('assets', 'logo.svg'), asset), false);
+  });
+
+  it('lists outputs the current build no longer produces', () => {
+    const cache = new BuildCache(manifest);
+    cache.assetIsCurrent(previousOutput, path.join('assets', 'logo.svg'), asset);
+    assert.deepEqual(cache.staleOutputs(), [path.join('en', 'index.html')]);
+  });
+
+  it('keeps previous page entries in partial builds', () => {
+    const cache = new BuildCache(manifest);
+    cache.save(previousOutput, { partial: true });
+    assert.deepEqual(Object.keys(new BuildCache(manifest).previous.pages), [path.join('en', 'index.html')]);
+
+    new BuildCache(manifest).save(previousOutput);
+    assert.deepEqual(new BuildCache(manifest).previous.pages, {});
+  });
+});
@@ -0,0 +1,66 @@
+// ./_system/_tests/cli.test.js
+// CLI translation status: lastUpdated resolution and block comparison
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { getLastUpdated, compareContentFile } = require('../_buildr/cli');
+
+const block = (lastUpdated, elements = 1) => ({
+  ...(lastUpdated && { lastUpdated }),
+  elements: Array.from({ length: elements }, () => ({ type: 'paragraph', content: 'x' }))
+});
+
+/**
+ * Compare a translation against its source; returns the language status
+ */
+function compare(source, target) {
+  const status = { missingBlocks: [], elementMismatches: [], staleBlocks: [], undatedBlocks: [] };
+  compareContentFile('hub00/services_content.json', source, target, status);
+  return status;
+}
+
+describe('getLastUpdated', () => {
+  it('prefers the block date, then the file date', () => {
+    assert.equal(getLastUpdated({ lastUpdated: '2025-12-02' }, { lastUpdated: '2025-11-19' }).toISOString(), '2025-12-02T00:00:00.000Z');
+    assert.equal(getLastUpdated({ lastUpdated: 'soon' }, { lastUpdated: '2025-11-19' }).toISOString(), '2025-11-19T00:00:00.000Z');
+  });
+
+  it('returns null without a valid date (no file mtime fallback)', () => {
+    assert.equal(getLastUpdated({}, {}), null);
+    assert.equal(getLastUpdated({ lastUpdated: 'soon' }, null), null);
+  });
+});
+
+describe('compareContentFile', () => {
+  it('reports missing blocks and element count mismatches', () => {
+    const status = compare(
+      { lastUpdated: '2025-11-19', blocks: { intro: block(null, 2), features: block() } },
+      { lastUpdated: '2025-11-19', blocks: { intro: block(null, 1) } }
+    );
+    assert.deepEqual(status.missingBlocks, [{ file: 'hub00/services_content.json', block: 'features' }]);
+    assert.deepEqual(status.elementMismatches.map(m => [m.block, m.source, m.translation]), [['intro', 2, 1]]);
+  });
+
+  it('reports blocks whose source was updated after the translation', () => {
+    const status = compare(
+      { lastUpdated: '2025-11-01', blocks: { intro: block('2025-12-02'), features: block() } },
+      { lastUpdated: '2025-11-19', blocks: { intro: block(), features: block() } }
+    );
+    assert.deepEqual(status.staleBlocks, [{
+      file: 'hub00/services_content.json',
+      block: 'intro',
+      sourceUpdated: '2025-12-02T00:00:00.000Z',
+      translationUpdated: '2025-11-19T00:00:00.000Z'
+    }]);
+    assert.deepEqual(status.undatedBlocks, []);
+  });
+
+  it('reports blocks without lastUpdated instead of guessing', () => {
+    const status = compare(
+      { blocks: { intro: block('2025-12-02'), features: block() } },
+      { blocks: { intro: block(), features: block('2025-12-02') } }
+    );
+    assert.deepEqual(status.staleBlocks, []);
+    assert.deepEqual(status.undatedBlocks.map(m => [m.block, m.undated]), [['intro', ['translation']], ['features', ['source']]]);
+  });
+});
@@ -0,0 +1,199 @@
+// ./_system/_tests/generator.test.js
+// WebGenBuilder: option resolution, render failures, the dependency graph and
+// partial builds (uses the ips-v1 project sources; builds write to a temp directory)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebGenBuilder = require('../_buildr/generator');
+
+/**
+ * Builder for ips-v1 with setup logs muted
+ */
+function createBuilder(options = {}) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return new WebGenBuilder('ips-v1', options);
+  } finally {
+    console.log = log;
+  }
+}
+
+describe('resolveMissingContentPolicy', () => {
+  const resolve = (builder, { flag, project, system, mode = 'development' }) => {
+    builder.buildOptions.missingContent = flag;
+    builder.projectConfig.build = { ...builder.projectConfig.build, missingContentPolicy: project, mode };
+    builder.buildConfig.validation = { ...builder.buildConfig.validation, missingContentPolicy: system };
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return builder.resolveMissingContentPolicy();
+    } finally {
+      console.log = log;
+    }
+  };
+
+  it('prefers the command line flag, then the project, then build_config', () => {
+    const builder = createBuilder();
+    assert.equal(resolve(builder, { flag: 'error', project: 'placeholder', system: 'warn' }), 'error');
+    assert.equal(resolve(builder, { project: 'placeholder', system: 'error' }), 'placeholder');
+    assert.equal(resolve(builder, { system: 'error' }), 'error');
+  });
+
+  it('defaults to warn', () => {
+    assert.equal(resolve(createBuilder(), {}), 'warn');
+  });
+
+  it('only renders placeholders in development builds', () => {
+    assert.equal(resolve(createBuilder(), { flag: 'placeholder', mode: 'production' }), 'warn');
+  });
+
+  it('rejects unknown policies', () => {
+    assert.throws(() => resolve(createBuilder(), { flag: 'ignore' }), /Unknown missing content policy 'ignore'/);
+  });
+});
+
+describe('render failures', () => {
+  const fail = (builder, pageId) => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      builder.recordRenderFailure({ pageId, language: 'en' }, new Error('Unexpected token , in JSON'));
+    } finally {
+      console.error = error;
+    }
+  };
+
+  it('are recorded as failed pages and content issues', () => {
+    const builder = createBuilder();
+    fail(builder, 'services');
+    assert.deepEqual(builder.failedPages().map(page => page.page), ['en/services']);
+    assert.equal(builder.renderer.contentIssues[0].kind, 'render-error');
+    assert.deepEqual(builder.renderStats.published, {});
+  });
+
+  it('fail the build under the error policy', () => {
+    const builder = createBuilder({ missingContent: 'error' });
+    fail(builder, 'services');
+    assert.throws(() => builder.enforceContentPolicy(), /1 missing block\/layout\/render issue\(s\):\n {2}- en\/services: Unexpected token/);
+  });
+
+  it('do not throw under the warn policy', () => {
+    const builder = createBuilder({ missingContent: 'warn' });
+    fail(builder, 'services');
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.doesNotThrow(() => builder.enforceContentPolicy());
+    } finally {
+      console.error = error;
+    }
+  });
+});
+
+describe('affectedPages', () => {
+  const src = '_projects/ips/v1/src';
+  let builder;
+
+  /**
+   * Builder with its dependency graph (pageConfigs overrides page JSON fields)
+   */
+  const createGraphBuilder = async (pageConfigs = {}) => {
+    const instance = createBuilder();
+    const loadPageConfig = instance.renderer.loadPageConfig.bind(instance.renderer);
+    instance.renderer.loadPageConfig = (pageId, language) => ({ ...loadPageConfig(pageId, language), ...pageConfigs[pageId] });
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await instance.renderer.init();
+      instance.buildDependencyGraph();
+      return instance;
+    } finally {
+      console.log = log;
+    }
+  };
+
+  before(async () => {
+    builder = await createGraphBuilder();
+  });
+
+  it('uses the dependency graph for known inputs', () => {
+    assert.deepEqual(builder.affectedPages(`${src}/en/hub00/services_content.json`), ['en/services', 'es/services', 'fr/services']);
+    assert.deepEqual(builder.affectedPages(`${src}/en/hub00/services_page.json`), ['en/services', 'es/services', 'fr/services']);
+  });
+
+  it('matches new content files (e.g. translations) to pages by content id', () => {
+    assert.deepEqual(builder.affectedPages(`${src}/es/hub00/services_content.json`), ['es/services']);
+    assert.deepEqual(builder.affectedPages(`${src}/fr/hub00/services_content.json`), ['fr/services']);
+    assert.deepEqual(builder.affectedPages(`${src}/fr/hub00/unused_content.json`), []);
+  });
+
+  it('only matches new content files in hubs the page reads', async () => {
+    assert.deepEqual(builder.affectedPages(`${src}/fr/hub01/services_content.json`), []);
+    assert.deepEqual(builder.affectedPages(`${src}/en/hub01/services_content.json`), []);
+
+    const crossHub = await createGraphBuilder({ services: { allowedHubs: ['hub01'] } });
+    assert.deepEqual(crossHub.affectedPages(`${src}/fr/hub01/services_content.json`), ['fr/services']);
+    assert.deepEqual(crossHub.affectedPages(`${src}/en/hub01/services_content.json`), ['en/services', 'es/services', 'fr/services']);
+  });
+
+  it('matches new page files to known pages by page id, in the page\'s hub', () => {
+    assert.deepEqual(builder.affectedPages(`${src}/fr/hub00/services_page.json`), ['fr/services']);
+    assert.deepEqual(builder.affectedPages(`${src}/fr/hub01/services_page.json`), []);
+  });
+
+  it('needs no pages for assets and a full rebuild for untracked files', () => {
+    assert.deepEqual(builder.affectedPages('_projects/ips/v1/assets/frontend/new.png'), []);
+    assert.equal(builder.affectedPages('README.md'), null);
+  });
+
+  it('tracks referenced assets, skipping URLs with invalid encoding', () => {
+    const html = '<a href="/50%-off.html">Sale</a><img src="/assets/frontend/checkout03.png">';
+    assert.deepEqual(builder.referencedAssets(html), ['_projects/ips/v1/assets/frontend/checkout03.png']);
+  });
+});
+
+describe('partial builds', () => {
+  let outputRoot;
+
+  /**
+   * Build ips-v1 into outputRoot/<folder> (logs muted; no timestamp,
+   * latest symlink, cleanup or asset copy)
+   */
+  const build = async (folder, options = {}) => {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+      const builder = new WebGenBuilder('ips-v1', options);
+      builder.systemConfig.paths.outputRoot = outputRoot;
+      builder.paths.output = builder.renderer.paths.output = path.join(outputRoot, folder);
+      builder.updateBuildTimestamp = () => {};
+      builder.createLatestSymlink = async () => {};
+      builder.cleanupOldBuilds = async () => {};
+      builder.copyAssets = async () => {};
+      await builder.build(options);
+      return builder.paths.output;
+    } finally {
+      Object.assign(console, { log, warn, error });
+    }
+  };
+
+  before(async () => {
+    outputRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'webgen-build-'));
+    await build('build-1');
+  });
+
+  after(() => fs.rmSync(outputRoot, { recursive: true, force: true }));
+
+  it('write a complete new output folder, including the root index.html and reports', async () => {
+    const output = await build('build-2', { file: '_projects/ips/v1/src/en/hub00/services_page.json' });
+    ['index.html', 'en/index.html', 'es/services.html', '_reports/link-check.json', '_reports/seo-report.json'].forEach(file => {
+      assert.ok(fs.existsSync(path.join(output, file)), `${file} missing`);
+    });
+    assert.equal(fs.readFileSync(path.join(output, 'index.html'), 'utf8'),
+      fs.readFileSync(path.join(outputRoot, 'build-1', 'index.html'), 'utf8'));
+  });
+});
@@ -0,0 +1,70 @@
+// ./_system/_tests/hooks.test.js
+// HookManager: registration, veto and afterPageRender HTML replacement
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HookManager = require('../_buildr/hooks');
+
+describe('HookManager', () => {
+  let dir;
+  let log;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webgen-hooks-'));
+    const modules = {
+      'banner.js': "module.exports = payload => payload.html.replace('<body>', '<body><p>banner</p>');",
+      'footer.js': "module.exports = payload => { payload.html += '<!-- footer -->'; };",
+      'veto.js': 'module.exports = { beforePageRender: payload => payload.pageId !== \'draft\' };',
+      'record.js': 'module.exports = payload => { payload.seen = (payload.seen || 0) + 1; };',
+      'empty.js': 'module.exports = {};'
+    };
+    Object.entries(modules).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    log = console.log;
+    console.log = () => {};
+  });
+
+  after(() => {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs hooks in registration order; a returned string replaces the HTML', async () => {
+    const hooks = new HookManager('test');
+    hooks.register({ afterPageRender: ['./banner.js', './footer.js'] }, dir);
+    const payload = { html: '<body></body>' };
+    assert.equal(await hooks.run('afterPageRender', payload), true);
+    assert.equal(payload.html, '<body><p>banner</p></body><!-- footer -->');
+  });
+
+  it('stops at the first veto', async () => {
+    const hooks = new HookManager('test');
+    hooks.register({ beforePageRender: ['./veto.js', './record.js'] }, dir);
+
+    const draft = { pageId: 'draft' };
+    assert.equal(await hooks.run('beforePageRender', draft), false);
+    assert.equal(draft.seen, undefined);
+
+    const page = { pageId: 'services' };
+    assert.equal(await hooks.run('beforePageRender', page), true);
+    assert.equal(page.seen, 1);
+  });
+
+  it('only replaces the HTML for afterPageRender', async () => {
+    const hooks = new HookManager('test');
+    hooks.register({ beforePageRender: './banner.js' }, dir);
+    const payload = { html: '<body></body>' };
+    await hooks.run('beforePageRender', payload);
+    assert.equal(payload.html, '<body></body>');
+  });
+
+  it('rejects unknown hooks and modules without a matching function', () => {
+    const hooks = new HookManager('test');
+    assert.throws(() => hooks.register({ onDeploy: './record.js' }, dir), /Unknown hook 'onDeploy'/);
+    assert.throws(() => hooks.register({ afterBuild: './empty.js' }, dir), /does not export a afterBuild function/);
+    assert.throws(() => hooks.register({ afterBuild: './missing.js' }, dir), /Failed to load afterBuild hook/);
+    assert.equal(hooks.has('afterBuild'), false);
+  });
+});
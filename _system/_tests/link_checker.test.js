@@ -0,0 +1,78 @@
+// ./_system/_tests/link_checker.test.js
+// LinkChecker against a small generated output tree (temp directory)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LinkChecker = require('../_buildr/link_checker');
+
+const PAGES = {
+  'en/index.html': [
+    '<link rel="stylesheet" href="/assets/site.css">',
+    '<link rel="preconnect" href="https://fonts.example.com">',
+    '<a href="/en/services.html#pricing">ok</a>',
+    '<a href="/en/services.html#missing">anchor</a>',
+    '<a href="services#pricing">extensionless</a>',
+    '<a href="/en/about.html">broken</a>',
+    '<a href="#top">same page</a>',
+    '<a href="/50%-off.html">malformed</a>',
+    '<a href="https://example.com/x.html">external</a>',
+    '<img src="/assets/logo.png">',
+    '<h1 id="top">Home</h1>'
+  ].join('\n'),
+  'en/services.html': '<section id="pricing"><a name="legacy"></a><a href="/en/#top">home</a><a href="/en/services.html#legacy">legacy</a></section>',
+  'assets/site.css': 'body {}',
+  '_reports/seo-report.html': '<a href="/nowhere.html">ignored</a>'
+};
+
+describe('LinkChecker', () => {
+  let output;
+  let result;
+
+  before(() => {
+    output = fs.mkdtempSync(path.join(os.tmpdir(), 'webgen-links-'));
+    Object.entries(PAGES).forEach(([file, html]) => {
+      fs.mkdirSync(path.dirname(path.join(output, file)), { recursive: true });
+      fs.writeFileSync(path.join(output, file), html);
+    });
+    result = new LinkChecker(output).run();
+  });
+
+  after(() => fs.rmSync(output, { recursive: true, force: true }));
+
+  const issue = url => result.issues.find(candidate => candidate.url === url);
+
+  it('checks generated pages only (reports skipped) and counts external links', () => {
+    assert.equal(result.files, 2);
+    assert.equal(result.external, 1);
+  });
+
+  it('accepts existing pages, anchors, name anchors and directory indexes', () => {
+    ['/en/services.html#pricing', 'services#pricing', '#top', '/en/#top', '/en/services.html#legacy', '/assets/site.css']
+      .forEach(url => assert.equal(issue(url), undefined, url));
+  });
+
+  it('reports missing anchors, pages and assets with their line', () => {
+    assert.deepEqual(issue('/en/services.html#missing'), {
+      file: path.join('en', 'index.html'),
+      line: 4,
+      tag: 'a',
+      url: '/en/services.html#missing',
+      kind: 'missing-anchor',
+      message: `Anchor #missing not found in ${path.join('en', 'services.html')}`
+    });
+    assert.equal(issue('/en/about.html').kind, 'broken-link');
+    assert.equal(issue('/assets/logo.png').kind, 'missing-asset');
+  });
+
+  it('reports invalid URL encoding instead of throwing', () => {
+    assert.equal(issue('/50%-off.html').kind, 'malformed-url');
+  });
+
+  it('skips anchors when anchor checks are off, and ignored URLs', () => {
+    const relaxed = new LinkChecker(output, { checkAnchors: false, ignore: ['^/en/about'] }).run();
+    assert.deepEqual(relaxed.issues.map(candidate => candidate.kind).sort(), ['malformed-url', 'missing-asset']);
+  });
+});
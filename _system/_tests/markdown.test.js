@@ -0,0 +1,74 @@
+// ./_system/_tests/markdown.test.js
+// Markdown rendering (helpers.convertMarkdown): sanitizing, escaping, page: links, features
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const helpers = require('../_buildr/helpers');
+const quotePlugin = require('../_shared/plugins/quote');
+
+const html = (markdown, options = {}) => helpers.convertMarkdown(markdown, options).html;
+
+describe('convertMarkdown sanitizing', () => {
+  it('drops javascript: links and data: images, keeping their text', () => {
+    assert.equal(html('[click](javascript:alert(1))'), 'click');
+    assert.equal(html('[click]( JavaScript:alert(1))'), 'click');
+    assert.equal(html('![pic](data:image/png;base64,AAA)'), 'pic');
+  });
+
+  it('escapes raw HTML', () => {
+    assert.equal(html('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+    assert.equal(html('Hi <img src=x onerror=alert(1)>'), 'Hi &lt;img src=x onerror=alert(1)&gt;');
+  });
+
+  it('escapes URLs, titles and alt text exactly once', () => {
+    assert.equal(html('[a](/x "A & B <c>")'), '<a href="/x" title="A &amp; B &lt;c&gt;">a</a>');
+    assert.equal(html('![A & "B"](/i.png)'), '<img src="/i.png" alt="A &amp; &quot;B&quot;">');
+    assert.equal(html('[q](/a?x=1&y=2)'), '<a href="/a?x=1&amp;y=2">q</a>');
+  });
+});
+
+describe('convertMarkdown page: links', () => {
+  it('resolves page ids with the language prefix and anchor', () => {
+    assert.equal(html('see [svc](page:services#pricing)', { language: 'es' }), 'see <a href="/es/services.html#pricing">svc</a>');
+    assert.equal(html('[home](page:home)', { language: 'es' }), '<a href="/es/">home</a>');
+    assert.equal(html('[home](page:home)'), '<a href="/">home</a>');
+  });
+});
+
+describe('convertMarkdown output mode', () => {
+  it('renders a single paragraph inline', () => {
+    assert.deepEqual(helpers.convertMarkdown('**bold**'), { html: '<strong>bold</strong>', block: false });
+  });
+
+  it('renders several blocks in block mode', () => {
+    assert.deepEqual(helpers.convertMarkdown('Intro\n\n- a\n- b'), {
+      html: '<p>Intro</p>\n<ul>\n<li>a</li>\n<li>b</li>\n</ul>',
+      block: true
+    });
+  });
+
+  it('does not wrap block content of paragraph elements in <p>', () => {
+    assert.equal(helpers.renderParagraphElement({ type: 'paragraph', content: '> quoted' }), '<blockquote>\n<p>quoted</p>\n</blockquote>');
+  });
+
+  it('does not wrap block content of quote elements in <p>', () => {
+    const render = content => quotePlugin.elements.quote.render({ content, style: 'default' }, { helpers, markdown: {} });
+    assert.equal(render('Great *product*'), '<blockquote class="quote quote-default"><p>Great <em>product</em></p></blockquote>');
+    assert.equal(render('One\n\nTwo'), '<blockquote class="quote quote-default"><p>One</p>\n<p>Two</p></blockquote>');
+  });
+});
+
+describe('convertMarkdown features', () => {
+  it('renders disabled features as plain text', () => {
+    assert.equal(html('[a](/x) **b**', { features: { links: false, emphasis: false } }), 'a **b**');
+  });
+
+  it('converts line breaks unless breaks is false', () => {
+    assert.equal(html('a\nb'), 'a<br>b');
+    assert.equal(html('a\nb', { breaks: false }), 'a\nb');
+  });
+
+  it('only escapes when markdown is disabled', () => {
+    assert.equal(html('<b>**x**</b>', { enabled: false }), '&lt;b&gt;**x**&lt;/b&gt;');
+  });
+});
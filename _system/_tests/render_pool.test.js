@@ -0,0 +1,76 @@
+// ./_system/_tests/render_pool.test.js
+// Worker-thread rendering: worker count resolution, queue-order output, failures
+// (renders ips-v1 pages; HTML is collected instead of written)
+
+const { describe, it, before } = require('node:test');
+const assert = require('assert/strict');
+const os = require('os');
+const WebGenBuilder = require('../_buildr/generator');
+
+/**
+ * Run fn with builder/renderer logs muted
+ */
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+describe('resolveRenderWorkers', () => {
+  const resolve = (setting, pageCount) => {
+    const builder = new WebGenBuilder('ips-v1', { workers: setting });
+    return builder.resolveRenderWorkers(pageCount);
+  };
+
+  it('renders on the main thread when off or for a single page', async () => {
+    await quietly(() => {
+      assert.equal(resolve('0', 10), 0);
+      assert.equal(resolve('4', 1), 0);
+    });
+  });
+
+  it('never starts more workers than pages', async () => {
+    await quietly(() => {
+      assert.equal(resolve('4', 10), 4);
+      assert.equal(resolve('8', 3), 3);
+      assert.equal(resolve('auto', 100), Math.max(0, os.cpus().length - 1));
+    });
+  });
+});
+
+describe('renderPages with workers', () => {
+  const PAGES = ['home', 'services', 'does-not-exist', 'pricing', 'contact'].map(pageId => ({ pageId, language: 'en' }));
+  let builder;
+  let written;
+
+  before(async () => {
+    written = [];
+    builder = await quietly(async () => {
+      const instance = new WebGenBuilder('ips-v1', { workers: '2' });
+      await instance.renderer.init();
+      instance.renderer.writeHTML = (filename, html) => written.push({ filename, html });
+      await instance.renderPages(PAGES);
+      return instance;
+    });
+  });
+
+  it('writes pages in queue order', () => {
+    assert.deepEqual(written.map(page => page.filename), ['en/index.html', 'en/services.html', 'en/pricing.html', 'en/contact.html']);
+    assert.ok(written.every(page => page.html.includes('</html>')));
+  });
+
+  it('records every page with the worker that rendered it', () => {
+    const stats = builder.renderStats;
+    assert.equal(stats.workers, 2);
+    assert.deepEqual(stats.pages.map(page => page.page), PAGES.map(({ pageId }) => `en/${pageId}`));
+    assert.ok(stats.pages.filter(page => page.status === 'rendered').every(page => [1, 2].includes(page.worker)));
+  });
+
+  it('records a failing page without stopping the others', () => {
+    assert.deepEqual(builder.failedPages().map(page => page.page), ['en/does-not-exist']);
+  });
+});
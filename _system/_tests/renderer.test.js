@@ -0,0 +1,89 @@
+// ./_system/_tests/renderer.test.js
+// HTMLRenderer: section layout resolution and page headers (ips-v1 templates, nothing written)
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('assert/strict');
+const WebGenBuilder = require('../_buildr/generator');
+
+/**
+ * Initialized ips-v1 renderer (setup logs muted)
+ */
+async function createRenderer() {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const renderer = new WebGenBuilder('ips-v1').renderer;
+    await renderer.init();
+    return renderer;
+  } finally {
+    console.log = log;
+  }
+}
+
+describe('renderCustomSections', () => {
+  let renderer;
+
+  before(async () => {
+    renderer = await createRenderer();
+  });
+
+  beforeEach(() => {
+    renderer.combinedBlocks = {
+      intro: {
+        elements: [
+          { type: 'title', content: 'Welcome', level: 'h2' },
+          { type: 'paragraph', content: 'Alias layouts render.' }
+        ]
+      }
+    };
+    renderer.contentIssues = [];
+    renderer.usedTemplates = new Set();
+  });
+
+  const render = layout => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      return renderer.renderCustomSections({
+        pageId: 'alias-test',
+        contentSources: ['alias-test_content'],
+        sections: [{ contentBlock: 'intro', layout, settings: { mediaSide: 'left' } }]
+      });
+    } finally {
+      console.warn = warn;
+    }
+  };
+
+  it('renders layout aliases with the template findMissingLayouts() resolves', () => {
+    assert.equal(renderer.resolveSectionTemplate('alternating-image'), 'split-layout');
+    const html = render('alternating-image');
+    assert.match(html, /Alias layouts render\./);
+    assert.deepEqual(renderer.contentIssues, []);
+    assert.deepEqual([...renderer.usedTemplates], ['split-layout']);
+  });
+
+  it('reports layouts without a template', () => {
+    assert.equal(render('no-such-layout'), '');
+    assert.deepEqual(renderer.contentIssues.map(issue => [issue.kind, issue.target]), [['unknown-layout', 'no-such-layout']]);
+  });
+});
+
+describe('renderPageHeader', () => {
+  let renderer;
+
+  before(async () => {
+    renderer = await createRenderer();
+  });
+
+  const pageConfig = { pageId: 'services', headerLayout: 'minimal', metadata: { title: 'Services' } };
+
+  it('renders the page title as the <h1>', () => {
+    assert.match(renderer.renderPageHeader(pageConfig), /<h1 class="page-main-title"[^>]*>Services<\/h1>/);
+  });
+
+  it('keeps a single <h1> when the content has its own', () => {
+    const html = renderer.renderPageHeader(pageConfig, { contentHasH1: true });
+    assert.doesNotMatch(html, /<h1\b/);
+    assert.match(html, /<p class="page-main-title"[^>]*>Services<\/p>/);
+  });
+});
@@ -0,0 +1,107 @@
+// ./_system/_tests/seo_audit.test.js
+// SeoAuditor against a small generated output tree (temp directory)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SeoAuditor = require('../_buildr/seo_audit');
+
+const DESCRIPTION = 'A description that is long enough to pass the recommended meta description length check.';
+
+/**
+ * Minimal generated page
+ */
+function page({ title = 'A page title long enough', description = DESCRIPTION, robots = null, nav = '', body = '<h1>Title</h1>' } = {}) {
+  return [
+    '<!DOCTYPE html><html><head>',
+    title === null ? '' : `<title>${title}</title>`,
+    description === null ? '' : `<meta name="description" content="${description}">`,
+    robots ? `<meta name="robots" content="${robots}">` : '',
+    '</head><body>',
+    `<nav>${nav}</nav>`,
+    `<main>${body}</main>`,
+    '</body></html>'
+  ].join('\n');
+}
+
+const PAGES = {
+  'index.html': '<html><head><meta http-equiv="refresh" content="0; url=/en/"></head><body><a href="/en/">en</a></body></html>',
+  'en/index.html': page({
+    title: 'Home of the example site',
+    description: `The home page: ${DESCRIPTION}`,
+    nav: '<a href="/en/services.html">Services</a><a href="/en/pricing.html">Pricing</a><a href="/en/draft.html">Draft</a>'
+  }),
+  'en/services.html': page({
+    title: 'Services and pricing',
+    body: '<h1>Services</h1><h2>Plans</h2><h4>Details</h4><h1>Again</h1><a href="/en/case-study.html">Case study</a>'
+  }),
+  'en/pricing.html': page({ title: 'Services and pricing', body: '<h1>Pricing</h1><img src="/assets/chart.png">' }),
+  'en/draft.html': page({ title: 'Services and pricing', robots: 'noindex' }),
+  'en/case-study.html': page({ title: 'A case study worth reading', body: '<h2>No h1 here</h2>' }),
+  'en/orphan.html': page({ title: 'An orphaned page nobody links', description: null }),
+  'es/index.html': page({ title: 'Services and pricing', nav: '<a href="/es/">Inicio</a>' })
+};
+
+describe('SeoAuditor', () => {
+  let output;
+  let report;
+
+  before(() => {
+    output = fs.mkdtempSync(path.join(os.tmpdir(), 'webgen-seo-'));
+    Object.entries(PAGES).forEach(([file, html]) => {
+      fs.mkdirSync(path.dirname(path.join(output, file)), { recursive: true });
+      fs.writeFileSync(path.join(output, file), html);
+    });
+    report = new SeoAuditor(output).run();
+  });
+
+  after(() => fs.rmSync(output, { recursive: true, force: true }));
+
+  const issues = (file, kind) => report.issues.filter(issue => issue.file === file && (!kind || issue.kind === kind));
+
+  it('audits pages but not redirect stubs', () => {
+    assert.equal(report.pages, 7);
+    assert.deepEqual(issues('index.html'), []);
+    assert.deepEqual(issues('en/index.html'), []);
+  });
+
+  it('reports several <h1> elements and skipped heading levels', () => {
+    assert.deepEqual(issues('en/services.html', 'multiple-h1').map(issue => issue.message), ['Page has 2 <h1> elements']);
+    assert.deepEqual(issues('en/services.html', 'heading-skip').map(issue => issue.message), ['<h4> follows <h2> (skips h3)']);
+    assert.equal(issues('en/case-study.html', 'missing-h1')[0].severity, 'error');
+  });
+
+  it('reports duplicate titles per language, ignoring noindex pages', () => {
+    assert.deepEqual(issues('en/services.html', 'duplicate-title').map(issue => issue.message), ['Same title as en/pricing.html']);
+    assert.deepEqual(issues('en/pricing.html', 'duplicate-title').map(issue => issue.message), ['Same title as en/services.html']);
+    assert.deepEqual(issues('en/draft.html', 'duplicate-title'), []);
+    assert.deepEqual(issues('es/index.html', 'duplicate-title'), []);
+  });
+
+  it('reports duplicate and missing descriptions', () => {
+    const duplicates = report.issues.filter(issue => issue.kind === 'duplicate-description').map(issue => issue.file);
+    assert.deepEqual(duplicates, ['en/case-study.html', 'en/pricing.html', 'en/services.html']);
+    assert.deepEqual(issues('en/orphan.html', 'missing-description').map(issue => issue.severity), ['warning']);
+  });
+
+  it('reports images without alt text', () => {
+    assert.deepEqual(issues('en/pricing.html', 'missing-alt').map(issue => issue.message), ['<img> without alt attribute: /assets/chart.png']);
+  });
+
+  it('reports pages not reachable through site navigation', () => {
+    assert.deepEqual(issues('en/case-study.html', 'unreachable').map(issue => issue.message),
+      ['Only reachable through in-page links, not site navigation (nav/footer)']);
+    assert.deepEqual(issues('en/orphan.html', 'unreachable').map(issue => issue.message),
+      ['Not linked from any page reachable from the home page']);
+    assert.deepEqual(issues('en/services.html', 'unreachable'), []);
+  });
+
+  it('counts issues by kind and severity', () => {
+    assert.equal(report.counts['multiple-h1'], 1);
+    assert.equal(report.counts.unreachable, 2);
+    assert.equal(report.errors, report.issues.filter(issue => issue.severity === 'error').length);
+    assert.equal(report.errors + report.warnings, report.issues.length);
+  });
+});
@@ -0,0 +1,88 @@
+// ./_system/_tests/sitemap.test.js
+// SitemapGenerator: entries from published pages, hreflang alternates, robots.txt
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SitemapGenerator = require('../_buildr/sitemap');
+
+const RENDERER = {
+  languages: { default: 'en', supported: ['en', 'es', 'fr'] },
+  menu: {
+    primaryNavigation: {
+      items: [
+        { id: 'home', srcFile: 'home_page.json' },
+        { id: 'services', srcFile: 'services_page.json', children: [{ id: 'pricing', srcFile: 'pricing_page.json' }] },
+        { id: 'external', url: 'https://example.com' }
+      ]
+    },
+    footerNavigation: {
+      items: [{ id: 'services', srcFile: 'services_page.json' }, { id: 'legal', srcFile: 'legal_page.json' }]
+    }
+  }
+};
+
+describe('SitemapGenerator', () => {
+  let dir;
+  let source;
+  let entries;
+  let sitemap;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webgen-sitemap-'));
+    source = path.join(dir, 'services_page.json');
+    fs.writeFileSync(source, '{}');
+    fs.utimesSync(source, new Date('2026-03-04T10:00:00Z'), new Date('2026-03-04T10:00:00Z'));
+
+    const page = (options = {}) => ({ noindex: false, sources: [source], ...options });
+    const published = {
+      'en/home': page(), 'es/home': page(), 'fr/home': page(),
+      'en/services': page(), 'es/services': page({ noindex: true }),
+      'es/pricing': page(),
+      'en/legal': page({ sources: [path.join(dir, 'missing.json')] })
+    };
+    sitemap = new SitemapGenerator(RENDERER, { baseUrl: 'www.example.com', changefreq: 'weekly' });
+    entries = sitemap.collectEntries(published);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('lists published, indexable pages in menu order', () => {
+    assert.deepEqual(entries.map(entry => `${entry.language}/${entry.pageId}`),
+      ['en/home', 'es/home', 'fr/home', 'en/services', 'es/pricing', 'en/legal']);
+  });
+
+  it('derives priority from menu depth (footer one level down)', () => {
+    assert.deepEqual(entries.map(entry => entry.priority), ['1.0', '1.0', '1.0', '0.8', '0.6', '0.6']);
+  });
+
+  it('adds hreflang alternates and x-default for the default language', () => {
+    assert.deepEqual(entries[0].alternates, [
+      { hreflang: 'en', href: 'https://www.example.com/en/' },
+      { hreflang: 'es', href: 'https://www.example.com/es/' },
+      { hreflang: 'fr', href: 'https://www.example.com/fr/' },
+      { hreflang: 'x-default', href: 'https://www.example.com/en/' }
+    ]);
+    assert.deepEqual(entries[4].alternates, [{ hreflang: 'es', href: 'https://www.example.com/es/pricing.html' }]);
+  });
+
+  it('takes lastmod from existing page sources', () => {
+    assert.equal(entries[3].lastmod, '2026-03-04');
+    assert.equal(entries[5].lastmod, null);
+  });
+
+  it('renders alternates unless a page has a single one', () => {
+    const xml = sitemap.renderSitemap(entries);
+    assert.match(xml, /<loc>https:\/\/www\.example\.com\/en\/<\/loc>\n {4}<lastmod>2026-03-04<\/lastmod>\n {4}<changefreq>weekly<\/changefreq>\n {4}<priority>1\.0<\/priority>\n {4}<xhtml:link rel="alternate" hreflang="en" href="https:\/\/www\.example\.com\/en\/"\/>/);
+    assert.equal((xml.match(/<url>/g) || []).length, 6);
+    assert.equal((xml.match(/hreflang="x-default"/g) || []).length, 5);
+    assert.doesNotMatch(xml, /hreflang="es" href="https:\/\/www\.example\.com\/es\/pricing\.html"/);
+  });
+
+  it('renders robots.txt for production and staging', () => {
+    assert.equal(sitemap.renderRobots(false), 'User-agent: *\nAllow: /\n\nSitemap: https://www.example.com/sitemap.xml\n');
+    assert.equal(sitemap.renderRobots(true), 'User-agent: *\nDisallow: /\n');
+  });
+});
@@ -0,0 +1,150 @@
+// ./_system/_tests/structured_data.test.js
+// StructuredDataBuilder: site/page nodes, block schema nodes, required-field validation
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const StructuredDataBuilder = require('../_buildr/structured_data');
+
+const MENU_TRAIL = {
+  services: [{ id: 'solutions', label: 'Solutions' }, { id: 'services', label: 'Services', srcFile: 'hub01/services' }]
+};
+
+/**
+ * Renderer stub with the parts StructuredDataBuilder reads
+ */
+function createRenderer(siteConfig) {
+  return {
+    siteConfig,
+    language: 'en',
+    projectConfig: { projectName: 'test' },
+    mediaBasePath: '/assets/frontend/',
+    mediaFallbackPath: '/assets/shared/',
+    menu: { breadcrumbConfig: { homeLabel: 'Start' } },
+    findMenuTrail: pageId => MENU_TRAIL[pageId] || [],
+    localize: value => value,
+    menuLabel: item => item.label,
+    linkPath: pageId => (pageId === 'home' ? '/en/' : `/en/${pageId}.html`),
+    absoluteUrl: pathname => `https://www.example.com${pathname}`
+  };
+}
+
+const SITE_CONFIG = {
+  branding: { siteName: 'Example', tagLine: 'Selling things', logo: { standard_logo: '/assets/logo.svg' } },
+  contact: { companyName: 'Example Ltd', phone: '+1 555 0100', email: 'hi@example.com' }
+};
+
+describe('StructuredDataBuilder', () => {
+  let warn;
+
+  // Reported issues are also logged
+  beforeEach(() => {
+    warn = console.warn;
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+  });
+
+  const graph = (builder, page) => builder.buildGraph({ language: 'en', blocks: {}, ...page });
+
+  it('describes the site as Organization and WebSite', () => {
+    const [organization, website] = graph(new StructuredDataBuilder(createRenderer(SITE_CONFIG)), { pageId: 'home' });
+    assert.deepEqual(organization, {
+      '@type': 'Organization',
+      '@id': 'https://www.example.com/#organization',
+      name: 'Example Ltd',
+      url: 'https://www.example.com/',
+      logo: 'https://www.example.com/assets/logo.svg',
+      telephone: '+1 555 0100',
+      email: 'hi@example.com',
+      contactPoint: { '@type': 'ContactPoint', contactType: 'customer service', telephone: '+1 555 0100', email: 'hi@example.com' }
+    });
+    assert.deepEqual(website, {
+      '@type': 'WebSite',
+      '@id': 'https://www.example.com/#website',
+      name: 'Example',
+      description: 'Selling things',
+      url: 'https://www.example.com/',
+      inLanguage: 'en',
+      publisher: { '@id': 'https://www.example.com/#organization' }
+    });
+  });
+
+  it('builds a BreadcrumbList from the menu trail, linking only pages', () => {
+    const builder = new StructuredDataBuilder(createRenderer(SITE_CONFIG), { organization: false, website: false });
+    assert.deepEqual(graph(builder, { pageId: 'services' }), [{
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 1, name: 'Start', item: 'https://www.example.com/en/' },
+        { '@type': 'ListItem', position: 2, name: 'Solutions' },
+        { '@type': 'ListItem', position: 3, name: 'Services', item: 'https://www.example.com/en/services.html' }
+      ]
+    }]);
+    assert.deepEqual(graph(builder, { pageId: 'home' }), []);
+  });
+
+  it('builds FAQPage and Product nodes from block schemas', () => {
+    const builder = new StructuredDataBuilder(createRenderer(SITE_CONFIG), { organization: false, website: false, breadcrumbs: false });
+    const [faq, product] = graph(builder, {
+      pageId: 'pricing',
+      blocks: {
+        questions: { schema: { type: 'faq', items: [{ question: 'Is it **fast**?', answer: 'Yes, *very*.' }] } },
+        plan: {
+          schema: {
+            type: 'Product', name: 'Pro plan', description: 'The [best](page:pricing) plan', image: 'pro.png',
+            brand: 'Example', offers: { price: 99, priceCurrency: 'USD', availability: 'InStock' }
+          }
+        },
+        plain: { elements: [] }
+      }
+    });
+
+    assert.deepEqual(faq, {
+      '@type': 'FAQPage',
+      mainEntity: [{ '@type': 'Question', name: 'Is it fast?', acceptedAnswer: { '@type': 'Answer', text: 'Yes, <em>very</em>.' } }]
+    });
+    assert.deepEqual(product, {
+      '@type': 'Product',
+      name: 'Pro plan',
+      description: 'The best plan',
+      image: 'https://www.example.com/assets/frontend/pro.png',
+      brand: { '@type': 'Brand', name: 'Example' },
+      offers: { '@type': 'Offer', price: '99', priceCurrency: 'USD', availability: 'https://schema.org/InStock' }
+    });
+  });
+
+  it('skips and reports nodes missing required fields (once per site)', () => {
+    const builder = new StructuredDataBuilder(createRenderer({ branding: {}, contact: {} }), { breadcrumbs: false });
+    const page = {
+      pageId: 'pricing',
+      blocks: {
+        plan: { schema: { type: 'product', name: 'Pro plan', offers: { price: 99 } } },
+        questions: { schema: { type: 'faq', items: [{ question: 'Why?' }] } }
+      }
+    };
+    assert.deepEqual(graph(builder, page), []);
+    graph(builder, { pageId: 'contact' });
+
+    assert.deepEqual(builder.issues.map(issue => `${issue.where}: ${issue.message}`), [
+      'site: Organization missing required \'Organization.name\'',
+      'site: WebSite missing required \'WebSite.name\'',
+      'pricing block \'plan\': Product missing required \'Product.offers.priceCurrency\'',
+      'pricing block \'questions\': FAQPage missing required \'FAQPage.mainEntity[0].acceptedAnswer\''
+    ]);
+  });
+
+  it('reports unknown schema types', () => {
+    const builder = new StructuredDataBuilder(createRenderer(SITE_CONFIG), { organization: false, website: false, breadcrumbs: false });
+    assert.deepEqual(graph(builder, { pageId: 'x', blocks: { event: { schema: { type: 'event' } } } }), []);
+    assert.equal(builder.issues[0].message, 'unknown schema type \'event\' (expected: faq, product)');
+  });
+
+  it('renders JSON-LD safe to embed in <script>', () => {
+    const builder = new StructuredDataBuilder(createRenderer({ branding: { siteName: '</script><b>' }, contact: {} }), { organization: false, breadcrumbs: false });
+    const json = builder.render({ pageId: 'home', language: 'en', blocks: {} });
+    assert.doesNotMatch(json, /<\/script>/);
+    assert.equal(JSON.parse(json)['@graph'][0].name, '</script><b>');
+    assert.equal(new StructuredDataBuilder(createRenderer({}), { organization: false, website: false }).render({ pageId: 'home' }), '');
+  });
+});
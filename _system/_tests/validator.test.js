@@ -0,0 +1,113 @@
+// ./_system/_tests/validator.test.js
+// ContentValidator: JSON path formatting, source locations, page/content checks
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentValidator = require('../_buildr/validator');
+const { formatJsonPath, locateJsonPath } = ContentValidator;
+
+const SOURCE = [
+  '{',
+  '  "pageId": "services",',
+  '  "sections": [',
+  '    { "layout": "hero", "contentBlock": "intro" },',
+  '    {',
+  '      "layout": "split",',
+  '      "note": "a \\"quoted\\" [bracket] {brace}",',
+  '      "contentBlock": "features"',
+  '    }',
+  '  ]',
+  '}'
+].join('\n');
+
+describe('formatJsonPath', () => {
+  it('joins keys and array indexes', () => {
+    assert.equal(formatJsonPath(['blocks', 'intro', 'elements', 2, 'content']), 'blocks.intro.elements[2].content');
+  });
+
+  it('quotes keys that are not identifiers', () => {
+    assert.equal(formatJsonPath(['blocks', 'hero-main']), 'blocks["hero-main"]');
+  });
+
+  it('names the root', () => {
+    assert.equal(formatJsonPath([]), '(root)');
+  });
+});
+
+describe('locateJsonPath', () => {
+  it('points at an object key', () => {
+    assert.deepEqual(locateJsonPath(SOURCE, ['pageId']), { line: 2, column: 3 });
+  });
+
+  it('points at an array element', () => {
+    assert.deepEqual(locateJsonPath(SOURCE, ['sections', 0]), { line: 4, column: 5 });
+    assert.deepEqual(locateJsonPath(SOURCE, ['sections', 1]), { line: 5, column: 5 });
+  });
+
+  it('skips strings containing quotes and brackets', () => {
+    assert.deepEqual(locateJsonPath(SOURCE, ['sections', 1, 'contentBlock']), { line: 8, column: 7 });
+  });
+
+  it('falls back to the deepest segment found for missing fields', () => {
+    assert.deepEqual(locateJsonPath(SOURCE, ['sections', 0, 'elements']), { line: 4, column: 5 });
+    assert.deepEqual(locateJsonPath(SOURCE, ['sections', 5]), { line: 3, column: 3 });
+  });
+
+  it('points at the document start for the root', () => {
+    assert.deepEqual(locateJsonPath(SOURCE, []), { line: 1, column: 1 });
+  });
+});
+
+describe('ContentValidator page checks', () => {
+  const buildConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '../_buildr/build_config.json'), 'utf8'));
+  let src;
+
+  const page = (pageId, contentSource) => JSON.stringify({
+    siteId: 'test', pageId, pageType: 'content', language: 'en', hub: 'hub00',
+    pageTemplate: 'custom-sections', contentSource, metadata: {},
+    sections: [
+      { contentBlock: 'intro', layout: 'text-block' },
+      { contentBlock: 'features', layout: 'text-block' }
+    ]
+  }, null, 2);
+
+  const validate = file => {
+    const validator = new ContentValidator(
+      { src, site: path.join(__dirname, '../../_projects/ips/v1/site') },
+      { languages: { default: 'en', supported: ['en'] } },
+      buildConfig
+    );
+    return validator.validateSingleFile(path.join(src, 'en', 'hub00', file));
+  };
+
+  before(() => {
+    src = fs.mkdtempSync(path.join(os.tmpdir(), 'webgen-validator-'));
+    const hub = path.join(src, 'en', 'hub00');
+    fs.mkdirSync(hub, { recursive: true });
+    fs.writeFileSync(path.join(hub, 'broken_page.json'), page('broken', 'broken_content'));
+    fs.writeFileSync(path.join(hub, 'broken_content.json'), '{ "blocks": { "intro": { "elements": [] }, }');
+    fs.writeFileSync(path.join(hub, 'valid_page.json'), page('valid', 'valid_content'));
+    fs.writeFileSync(path.join(hub, 'valid_content.json'), JSON.stringify({ blocks: { intro: { elements: [] } } }));
+  });
+
+  after(() => fs.rmSync(src, { recursive: true, force: true }));
+
+  it('reports content blocks missing from the content source', () => {
+    const { errors } = validate('valid_page.json');
+    assert.deepEqual(errors.map(error => error.path), ['sections[1].contentBlock']);
+    assert.match(errors[0].message, /Content block "features" not found in valid_content/);
+  });
+
+  it('skips block references into a content file that does not parse', () => {
+    assert.deepEqual(validate('broken_page.json').errors, []);
+  });
+
+  it('reports the parse error on the content file itself', () => {
+    const { errors } = validate('broken_content.json');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /^Invalid JSON/);
+  });
+});